@@ -6,6 +6,376 @@ if (typeof chrome === 'undefined' || !chrome.runtime) {
     console.error('Chrome Extension APIs not available in background script');
 } else {
 
+// Fallback labels of Next/Submit buttons per language, used when a site adapter has no stable attributes.
+// Matching ignores case and diacritics; users can edit the list in the popup settings
+const DEFAULT_NAVIGATION_LABELS = [
+    { language: 'en', next: ['next', 'continue'], submit: ['submit', 'send'] },
+    { language: 'pl', next: ['dalej', 'następna', 'następny'], submit: ['wyślij', 'prześlij', 'zatwierdź'] },
+    { language: 'ru', next: ['далее', 'вперёд', 'следующая'], submit: ['отправить', 'готово'] },
+    { language: 'uk', next: ['далі', 'наступна'], submit: ['надіслати', 'відправити'] },
+    { language: 'de', next: ['weiter'], submit: ['absenden', 'senden'] },
+    { language: 'fr', next: ['suivant'], submit: ['envoyer', 'soumettre'] },
+    { language: 'es', next: ['siguiente'], submit: ['enviar'] }
+];
+
+// Longest chain of profiles one run may execute
+const MAX_CHAIN_LENGTH = 10;
+
+// How long the next page of a chain gets to show stable questions (it may still be loading)
+const CHAIN_PAGE_READY_TIMEOUT = 15000;
+
+// A saved chain older than this is abandoned instead of resumed on a page loaded later
+const CHAIN_MAX_AGE = 5 * 60 * 1000;
+
+// Runs every fill, a single profile or a chain, whatever started it: popup, keyboard command,
+// context menu, page shortcut or auto-fill. It owns sequencing, the cycle and length limits,
+// waiting for the next page, history and notifications. One chain runs per tab; its state lives
+// in session storage so a full page load or a service worker restart can resume it.
+// Events (started, stepStarted, stepCompleted, waiting, resumed, finished) go to listeners added
+// with on() and, as { action: 'chainEvent', event, detail } messages, to open extension pages
+class ChainOrchestrator {
+    constructor(background) {
+        this.background = background;
+        this.activeChains = new Set(); // Tabs whose chain this service worker instance is driving
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+    }
+
+    emit(event, detail) {
+        (this.listeners.get(event) || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Chain event listener failed (${event}):`, error);
+            }
+        });
+        chrome.runtime.sendMessage({ action: 'chainEvent', event, detail }, () => {
+            // Nobody listens while the popup is closed
+            void chrome.runtime.lastError;
+        });
+    }
+
+    // Start a chain at profileId; resolves with the result of the first step
+    async start(profileId, tabId, trigger) {
+        if (!tabId) {
+            return { success: false, error: 'No active tab' };
+        }
+        if (this.activeChains.has(tabId)) {
+            console.warn(`🔗 Chain already running in tab ${tabId}, ignoring ${trigger} fill`);
+            this.background.showNotification('Łańcuch profili już działa w tej karcie', 'warning');
+            return { success: false, error: 'Chain already running in this tab' };
+        }
+
+        // Replaces a chain a previous worker left behind without reaching its next page
+        const chain = { tabId, trigger, startedAt: Date.now(), depth: 0, visited: [], results: [] };
+        this.activeChains.add(tabId);
+        this.emit('started', { tabId, profileId, trigger });
+        return this.guard(chain, () => this.runStep(profileId, chain));
+    }
+
+    // Run part of a chain; a failure ends the chain so the tab is not left marked as running
+    async guard(chain, task) {
+        try {
+            return await task();
+        } catch (error) {
+            console.error('🔗 Chain failed:', error);
+            try {
+                return await this.finish(chain, 'stopped', error.message);
+            } catch (finishError) {
+                this.activeChains.delete(chain.tabId);
+                console.error('Could not end chain:', finishError);
+                return { success: false, error: error.message };
+            }
+        }
+    }
+
+    async runStep(profileId, chain) {
+        const { tabId } = chain;
+        const profile = this.background.profiles.find(p => p.id === profileId);
+        if (!profile) {
+            return this.finish(chain, 'stopped', 'Profile not found');
+        }
+
+        // Prevent infinite loops
+        if (chain.visited.includes(profileId)) {
+            console.warn(`Circular chain detected for profile: ${profile.name}`);
+            this.background.showNotification('Wykryto cykliczny łańcuch profili - zatrzymano', 'warning');
+            return this.finish(chain, 'stopped', 'Circular chain detected');
+        }
+
+        // Prevent excessive chain length
+        if (chain.depth >= MAX_CHAIN_LENGTH) {
+            console.warn(`Chain too long (${chain.depth}) - stopping execution`);
+            this.background.showNotification('Łańcuch profili za długi - zatrzymano', 'warning');
+            return this.finish(chain, 'stopped', 'Chain too long');
+        }
+
+        chain.visited.push(profileId);
+        chain.profileId = profileId;
+        chain.status = 'filling';
+        delete chain.pendingResult;
+        delete chain.pendingPage;
+        await this.saveChain(chain);
+
+        console.log(`🔗 Executing profile in chain: ${profile.name} (depth: ${chain.depth})`);
+        this.emit('stepStarted', { tabId, profileId, profileName: profile.name, position: chain.depth + 1 });
+
+        let response;
+        try {
+            response = await this.sendFill(tabId, profile);
+        } catch (error) {
+            // Next/Submit loaded a new document before the answer came back:
+            // the result reported just before the click stands for the step
+            const pending = await this.takePendingResult(tabId, profileId);
+            response = pending && await this.confirmPageMoved(tabId, pending);
+            if (!response) {
+                console.error('Error filling form:', error);
+                response = { success: false, error: error.message };
+            }
+        }
+        return this.completeStep(profile, chain, response);
+    }
+
+    // Send the profile to the tab's content script for filling
+    sendFill(tabId, profile) {
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(tabId, {
+                action: 'fillForm',
+                profile: profile,
+                submitPolicy: this.background.getSubmitPolicy(profile)
+            }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response || { success: false, error: 'No response from content script' });
+                }
+            });
+        });
+    }
+
+    // Record a finished step and either schedule the next profile or end the chain
+    async completeStep(profile, chain, response) {
+        const position = chain.depth + 1;
+        console.log(`📊 ${profile.name}: ${response.filled ?? 0}/${response.total ?? 0} fields filled`);
+        await this.background.recordProfileUsage(profile.id, response.url);
+        await this.background.recordFillHistory({
+            profileId: profile.id,
+            profileName: profile.name,
+            chainPosition: position,
+            ...response,
+            // Failed fills often have no answer from the content script, so fall back to the tab's URL
+            url: response.url || await this.getTabUrl(chain.tabId)
+        });
+        const result = {
+            profileId: profile.id,
+            profileName: profile.name,
+            success: !!response.success,
+            filled: response.filled ?? 0,
+            total: response.total ?? 0,
+            error: response.error || null
+        };
+        chain.results.push(result);
+        this.emit('stepCompleted', { tabId: chain.tabId, position, ...result });
+
+        if (!profile.nextProfileId) {
+            return this.finish(chain, response.success ? 'completed' : 'stopped', response.error || null, response);
+        }
+
+        // Chain continues only on success (every field filled)
+        if (!response.success) {
+            console.warn(`🔗 Chain stopped at ${profile.name}:`, response.error || response.results);
+            let message = `Łańcuch zatrzymany: profil ${profile.name} nie wypełnił wszystkich pól`;
+            if (response.validationErrors) {
+                message = `Łańcuch zatrzymany: formularz odrzucił stronę profilu ${profile.name}`;
+            } else if (response.pageTransition === false) {
+                message = `Łańcuch zatrzymany: strona nie zmieniła się po profilu ${profile.name}`;
+            }
+            this.background.showNotification(message, 'warning');
+            return this.finish(chain, 'stopped', response.error || 'Fill failed', response);
+        }
+
+        // A step that stayed on its page (policy or cancelled confirmation) ends the chain
+        if (response.navigationSkipped) {
+            console.warn(`🔗 Chain stopped at ${profile.name}: navigation ${response.navigationSkipped}`);
+            this.background.showNotification(`Łańcuch zatrzymany: profil ${profile.name} nie przeszedł do następnej strony`, 'warning');
+            return this.finish(chain, 'stopped', `Navigation ${response.navigationSkipped}`, response);
+        }
+
+        console.log(`🔗 Profile ${profile.name} completed, continuing chain to next profile`);
+        this.background.showNotification(`Профіль ${profile.name} ukończony, przechodząc do następnego...`);
+        chain.depth += 1;
+        chain.profileId = profile.nextProfileId;
+        chain.url = response.url || chain.url;
+        chain.status = 'waiting';
+        delete chain.pendingResult;
+        delete chain.pendingPage;
+        await this.saveChain(chain);
+        this.emit('waiting', { tabId: chain.tabId, profileId: chain.profileId, position: chain.depth + 1 });
+
+        // The trigger gets this step's result now; the rest of the chain runs on its own
+        this.continueWhenReady(chain);
+        return response;
+    }
+
+    // Execute the next chain profile once the tab shows the new page's questions
+    // Nobody awaits it, so it is guarded like the first step
+    continueWhenReady(chain) {
+        return this.guard(chain, async () => {
+            const ready = await this.waitForPageReady(chain.tabId);
+            if (!ready) {
+                console.warn('🔗 Chain stopped: next page did not load');
+                this.background.showNotification('Łańcuch zatrzymany: następna strona się nie załadowała', 'warning');
+                return this.finish(chain, 'stopped', 'Next page did not load');
+            }
+            return this.runStep(chain.profileId, chain);
+        });
+    }
+
+    // URL the tab shows right now, '' when the tab is gone
+    async getTabUrl(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            return tab.url || '';
+        } catch (error) {
+            console.debug('Could not read the tab URL:', error.message);
+            return '';
+        }
+    }
+
+    // Ask the tab's content script to report once its questions are present and stable.
+    // A page that is still loading has no content script yet, so the request is retried until the timeout
+    async waitForPageReady(tabId, timeout = CHAIN_PAGE_READY_TIMEOUT) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            const response = await new Promise(resolve => {
+                chrome.tabs.sendMessage(tabId, { action: 'waitForPageReady' }, (result) => {
+                    resolve(chrome.runtime.lastError ? null : result);
+                });
+            });
+            if (response && response.success) return response.ready;
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return false;
+    }
+
+    // status is 'completed' or 'stopped'; resolves with the step's response, or a failure naming the reason
+    async finish(chain, status, reason, response = null) {
+        await this.clearChain(chain.tabId);
+        if (chain.results.length > 1) {
+            const succeeded = chain.results.filter(result => result.success).length;
+            console.log(`🔗 Chain ${status}: ${succeeded}/${chain.results.length} profiles succeeded`);
+            if (status === 'completed') {
+                this.background.showNotification(`Łańcuch zakończony: ${chain.results.length} profili`, 'success');
+            }
+        }
+        this.emit('finished', { tabId: chain.tabId, trigger: chain.trigger, status, reason, results: chain.results });
+        return response || { success: false, error: reason };
+    }
+
+    // Running chain of a tab, as persisted between steps
+    async loadChain(tabId) {
+        const key = `autofillChain_${tabId}`;
+        const result = await chrome.storage.session.get([key]);
+        return result[key] || null;
+    }
+
+    async saveChain(chain) {
+        this.activeChains.add(chain.tabId);
+        await chrome.storage.session.set({ [`autofillChain_${chain.tabId}`]: { ...chain, updatedAt: Date.now() } });
+    }
+
+    async clearChain(tabId) {
+        this.activeChains.delete(tabId);
+        await chrome.storage.session.remove(`autofillChain_${tabId}`);
+    }
+
+    // Content script's fill result and page ({ url, titles }), sent right before it clicks Next/Submit
+    async setPendingResult(tabId, summary, page) {
+        const chain = await this.loadChain(tabId);
+        if (!chain || chain.status !== 'filling') return;
+        chain.pendingResult = summary;
+        chain.pendingPage = page || null;
+        await this.saveChain(chain);
+    }
+
+    // { summary, page } reported for the step, or null
+    async takePendingResult(tabId, profileId) {
+        const chain = await this.loadChain(tabId);
+        if (!chain || chain.profileId !== profileId || !chain.pendingResult) return null;
+        return { summary: chain.pendingResult, page: chain.pendingPage };
+    }
+
+    // The click unloaded the page; the step passed only when the document that came back is
+    // another page, not the same one reloaded with server-side errors
+    async confirmPageMoved(tabId, { summary, page }) {
+        await this.waitForPageReady(tabId);
+        const current = await new Promise(resolve => {
+            chrome.tabs.sendMessage(tabId, { action: 'getPageState' }, (result) => {
+                resolve(chrome.runtime.lastError ? null : result);
+            });
+        });
+        const moved = !page || !current || !current.success ||
+                      current.url !== page.url || current.titles !== page.titles;
+        if (moved) {
+            return { ...summary, pageTransition: true };
+        }
+        console.warn('🔗 Page reloaded without moving on');
+        return { ...summary, success: false, pageTransition: false, error: 'Page did not change after Next' };
+    }
+
+    // Called by a freshly loaded content script with its URL; true when a chain runs in the tab,
+    // so the page must not start an auto-fill of its own
+    async resume(tabId, url) {
+        const chain = await this.loadChain(tabId);
+        if (!chain) return false;
+        // This worker is still driving the chain and will reach the new page by itself
+        if (this.activeChains.has(tabId)) return true;
+
+        // A chain the tab left long ago, or a page of another site, is no continuation
+        const lastUrl = (chain.pendingPage && chain.pendingPage.url) || chain.url;
+        const sameSite = !url || !lastUrl || new URL(url).origin === new URL(lastUrl).origin;
+        if (Date.now() - (chain.updatedAt || 0) > CHAIN_MAX_AGE || !sameSite) {
+            console.log(`🔗 Abandoning saved chain of tab ${tabId}`);
+            await this.clearChain(tabId);
+            return false;
+        }
+
+        const profile = this.background.profiles.find(p => p.id === chain.profileId);
+        if (!profile) {
+            await this.clearChain(tabId);
+            return false;
+        }
+
+        if (chain.status === 'filling') {
+            const pending = await this.takePendingResult(tabId, chain.profileId);
+            if (!pending) {
+                // The step was interrupted before it clicked anything; its outcome is unknown
+                console.warn(`🔗 Chain stopped: step ${profile.name} was interrupted`);
+                this.background.showNotification(`Łańcuch zatrzymany: profil ${profile.name} został przerwany`, 'warning');
+                await this.finish(chain, 'stopped', 'Step interrupted');
+                return false;
+            }
+            console.log(`🔗 Resuming chain in tab ${tabId} after ${profile.name}`);
+            this.activeChains.add(tabId);
+            this.emit('resumed', { tabId, profileId: chain.profileId, position: chain.depth + 1 });
+            this.guard(chain, async () => this.completeStep(profile, chain, await this.confirmPageMoved(tabId, pending)));
+            return true;
+        }
+
+        console.log(`🔗 Resuming chain in tab ${tabId} at ${profile.name}`);
+        this.activeChains.add(tabId);
+        this.emit('resumed', { tabId, profileId: chain.profileId, position: chain.depth + 1 });
+        this.continueWhenReady(chain);
+        return true;
+    }
+}
+
 class AutoFillBackground {
     constructor() {
         this.profiles = [];
@@ -14,6 +384,14 @@ class AutoFillBackground {
         this.contextMenusCreated = false;
         this.contextMenuUpdateTimeout = null;
         this.contextMenusEnabled = true; // Can be disabled if causing issues
+        this.maxHistoryEntries = 200; // Oldest fill history entries are dropped beyond this
+        this.historyQueue = Promise.resolve(); // History writes run one after another
+        this.chains = new ChainOrchestrator(this); // Every fill and chain runs through it
+        this.settings = {
+            defaultSubmitPolicy: 'confirm', // Submit only after an in-page confirmation
+            navigationLabels: DEFAULT_NAVIGATION_LABELS
+        };
+        this.storedSettings = {}; // What the user changed; navigationLabels null means the defaults
         this.initPromise = this.init();
     }
 
@@ -25,9 +403,12 @@ class AutoFillBackground {
             this.setupMessageListeners();
             this.setupStorageListeners();
             this.setupKeyboardShortcuts();
+            // A closed tab ends its chain
+            chrome.tabs.onRemoved.addListener((tabId) => this.chains.clearChain(tabId));
             
-            // Load profiles from storage
+            // Load profiles and settings from storage
             await this.loadProfiles();
+            await this.loadSettings();
             
             // Setup context menus
             this.setupContextMenus();
@@ -62,7 +443,16 @@ class AutoFillBackground {
             switch (message.action) {
                 // Profile management
                 case 'getProfiles':
-                    sendResponse({ success: true, profiles: this.profiles });
+                    sendResponse({ success: true, profiles: this.profiles, settings: this.settings });
+                    break;
+
+                case 'getSettings':
+                    sendResponse({ success: true, settings: this.settings });
+                    break;
+
+                case 'saveSettings':
+                    await this.saveSettings(message.settings);
+                    sendResponse({ success: true, settings: this.settings });
                     break;
 
                 case 'saveProfile':
@@ -82,10 +472,63 @@ class AutoFillBackground {
 
                 // Form filling
                 case 'fillForm':
-                    const result = await this.fillFormWithProfile(message.profileId, sender.tab.id);
+                    // The popup has no tab of its own, it fills the active one
+                    const fillTabId = sender.tab ? sender.tab.id : (await this.getActiveTab())?.id;
+                    const trigger = message.trigger || (sender.tab ? 'page' : 'popup');
+                    const result = await this.chains.start(message.profileId, fillTabId, trigger);
                     sendResponse(result);
                     break;
 
+                // Running chains
+                case 'reportNavigation':
+                    await this.chains.setPendingResult(sender.tab.id, message.summary, message.page);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'resumeChain':
+                    const resumed = sender.tab ? await this.chains.resume(sender.tab.id, message.url) : false;
+                    sendResponse({ success: true, resumed });
+                    break;
+
+                case 'previewForm':
+                    const previewTabId = sender.tab ? sender.tab.id : (await this.getActiveTab())?.id;
+                    const preview = await this.previewProfile(message.profileId, previewTabId);
+                    sendResponse(preview);
+                    break;
+
+                case 'captureForm':
+                    const captureTabId = sender.tab ? sender.tab.id : (await this.getActiveTab())?.id;
+                    const captured = await this.captureFormAsProfile(captureTabId);
+                    sendResponse({ success: true, profile: captured });
+                    break;
+
+                // Recording mode
+                case 'startRecording':
+                    await this.startRecording((await this.getActiveTab())?.id);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'stopRecording':
+                    const recordedProfiles = await this.stopRecording();
+                    sendResponse({ success: true, profiles: recordedProfiles });
+                    break;
+
+                case 'getRecordingState':
+                    const recording = await this.loadRecording();
+                    const recordingTabId = sender.tab ? sender.tab.id : (await this.getActiveTab())?.id;
+                    sendResponse({
+                        success: true,
+                        recording: !!recording && recording.tabId === recordingTabId,
+                        active: !!recording,
+                        settings: this.settings
+                    });
+                    break;
+
+                case 'recordPage':
+                    await this.addRecordedPage(sender.tab.id, message.page);
+                    sendResponse({ success: true });
+                    break;
+
                 case 'detectFields':
                     const fields = await this.detectFormFields(sender.tab.id);
                     sendResponse({ success: true, fields: fields });
@@ -112,6 +555,17 @@ class AutoFillBackground {
                     sendResponse({ success: true, deletedCount: deletedCount });
                     break;
 
+                // Fill history
+                case 'getHistory':
+                    const history = await this.loadHistory();
+                    sendResponse({ success: true, history: history });
+                    break;
+
+                case 'clearHistory':
+                    await this.updateHistory(() => []);
+                    sendResponse({ success: true });
+                    break;
+
                 // Storage operations
                 case 'clearAllData':
                     await this.clearAllData();
@@ -151,12 +605,56 @@ class AutoFillBackground {
         });
     }
 
+    // Storage keeps only what the user changed; labels equal to the built-in list are stored as null,
+    // so later changes to DEFAULT_NAVIGATION_LABELS reach everyone who never edited them
+    async loadSettings() {
+        const result = await chrome.storage.local.get(['autofillSettings']);
+        this.applySettings(result.autofillSettings || {});
+        return this.settings;
+    }
+
+    async saveSettings(settings) {
+        const stored = { ...this.storedSettings, ...settings };
+        this.applySettings(stored);
+        await chrome.storage.local.set({ autofillSettings: this.storedSettings });
+    }
+
+    // Merge stored overrides into the effective settings
+    applySettings(stored) {
+        const labels = Array.isArray(stored.navigationLabels) && !this.isDefaultNavigationLabels(stored.navigationLabels)
+            ? stored.navigationLabels
+            : null;
+        this.storedSettings = { ...stored, navigationLabels: labels };
+        this.settings = {
+            ...this.settings,
+            ...stored,
+            navigationLabels: labels || DEFAULT_NAVIGATION_LABELS
+        };
+    }
+
+    isDefaultNavigationLabels(labels) {
+        const canonical = (list) => JSON.stringify(list.map(({ language, next, submit }) => ({ language, next, submit })));
+        return canonical(labels) === canonical(DEFAULT_NAVIGATION_LABELS);
+    }
+
+    // Which navigation buttons a profile may press: its own policy or the global default
+    getSubmitPolicy(profile) {
+        return profile.submitPolicy || this.settings.defaultSubmitPolicy;
+    }
+
     async saveProfile(profile) {
         const existingIndex = this.profiles.findIndex(p => p.id === profile.id);
         
         if (existingIndex >= 0) {
-            // Update existing profile - preserve displayOrder
-            this.profiles[existingIndex] = { ...profile, updatedAt: Date.now() };
+            // Update existing profile - preserve displayOrder; usage stats are owned by the background
+            const existing = this.profiles[existingIndex];
+            this.profiles[existingIndex] = {
+                ...profile,
+                usageCount: existing.usageCount,
+                lastUsedAt: existing.lastUsedAt,
+                lastUsedUrl: existing.lastUsedUrl,
+                updatedAt: Date.now()
+            };
         } else {
             // Add new profile
             profile.id = profile.id || this.generateProfileId();
@@ -193,6 +691,9 @@ class AutoFillBackground {
             name: original.name + ' (копия)',
             shortcut: '', // Remove shortcut from duplicate
             displayOrder: this.getNextDisplayOrder(), // Add to end of list
+            usageCount: 0,
+            lastUsedAt: null,
+            lastUsedUrl: null,
             createdAt: Date.now(),
             updatedAt: Date.now()
         };
@@ -233,37 +734,133 @@ class AutoFillBackground {
         return maxOrder + 1;
     }
 
-    // Form Filling Methods
-    async fillFormWithProfile(profileId, tabId, chainContext = { visited: new Set(), depth: 0 }) {
+    // Usage Tracking
+    async recordProfileUsage(profileId, url = null) {
         const profile = this.profiles.find(p => p.id === profileId);
-        if (!profile) {
-            return { success: false, error: 'Profile not found' };
+        if (!profile) return;
+
+        profile.usageCount = (profile.usageCount || 0) + 1;
+        profile.lastUsedAt = Date.now();
+        if (url) {
+            profile.lastUsedUrl = url;
         }
+        await this.saveProfiles();
+        this.updateContextMenuProfiles(); // Menu titles name the last/most used profiles
+    }
 
-        // Prevent infinite loops
-        if (chainContext.visited.has(profileId)) {
-            console.warn(`Circular chain detected for profile: ${profile.name}`);
-            this.showNotification('Wykryto cykliczny łańcuch profili - zatrzymano', 'warning');
-            return { success: false, error: 'Circular chain detected' };
+    getLastUsedProfile() {
+        return this.profiles
+            .filter(p => p.lastUsedAt)
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)[0] || null;
+    }
+
+    // Profiles by popularity; ties go to the more recently used one
+    getMostUsedProfiles(limit = 3) {
+        return this.profiles
+            .filter(p => p.usageCount > 0)
+            .sort((a, b) => (b.usageCount - a.usageCount) || ((b.lastUsedAt || 0) - (a.lastUsedAt || 0)))
+            .slice(0, limit);
+    }
+
+    async fillWithLastUsedProfile(tabId, trigger = 'shortcut') {
+        const profile = this.getLastUsedProfile();
+        if (!profile) {
+            this.showNotification('Brak ostatnio używanego profilu', 'warning');
+            return;
         }
+        console.log(`Filling with last used profile: ${profile.name}`);
+        await this.chains.start(profile.id, tabId, trigger);
+    }
 
-        // Prevent excessive chain length
-        if (chainContext.depth >= 10) {
-            console.warn(`Chain too long (${chainContext.depth}) - stopping execution`);
-            this.showNotification('Łańcuch profili za długi - zatrzymano', 'warning');
-            return { success: false, error: 'Chain too long' };
+    async fillWithMostUsedProfile(rank, tabId, trigger = 'shortcut') {
+        const profile = this.getMostUsedProfiles(rank + 1)[rank];
+        if (!profile) {
+            this.showNotification(`Brak profilu na pozycji ${rank + 1} według popularności`, 'warning');
+            return;
         }
+        console.log(`Filling with most used profile #${rank + 1}: ${profile.name} (${profile.usageCount} uses)`);
+        await this.chains.start(profile.id, tabId, trigger);
+    }
+
+    // Fill History Methods
+    async loadHistory() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['autofillHistory'], (result) => {
+                resolve(result.autofillHistory || []);
+            });
+        });
+    }
+
+    async saveHistory(history) {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ autofillHistory: history }, () => {
+                if (chrome.runtime.lastError) {
+                    console.error('Error saving fill history:', chrome.runtime.lastError.message);
+                }
+                resolve();
+            });
+        });
+    }
 
-        // Add current profile to visited set
-        chainContext.visited.add(profileId);
+    // Read-modify-write of the history, queued so fills finishing together keep each other's entries
+    updateHistory(update) {
+        const run = this.historyQueue.then(async () => {
+            const history = await this.loadHistory();
+            await this.saveHistory(update(history));
+        });
+        // A failed write must not block the ones queued after it
+        this.historyQueue = run.catch(error => console.error('Error updating fill history:', error));
+        return run;
+    }
+
+    // Store one fill outcome, newest first, keeping at most maxHistoryEntries
+    async recordFillHistory(outcome) {
+        const entry = {
+            id: 'fill_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+            timestamp: Date.now(),
+            url: outcome.url || '',
+            profileId: outcome.profileId || null,
+            profileName: outcome.profileName || '',
+            chainPosition: outcome.chainPosition || 1,
+            success: !!outcome.success,
+            filled: outcome.filled ?? 0,
+            total: outcome.total ?? 0,
+            navigation: outcome.navigation || null,
+            navigationButton: outcome.navigationButton || null,
+            error: outcome.error || null,
+            validationErrors: outcome.validationErrors || [],
+            fields: (outcome.results || []).map(r => ({
+                name: r.field,
+                status: this.getFieldStatus(r),
+                error: r.validationError || r.error || null
+            }))
+        };
+
+        await this.updateHistory(history => [entry, ...history].slice(0, this.maxHistoryEntries));
+        return entry;
+    }
+
+    getFieldStatus(result) {
+        if (!result.found) return 'not_found';
+        if (!result.filled) return 'failed';
+        if (result.validationError) return 'invalid';
+        return result.verified ? 'verified' : 'filled';
+    }
+
+    // Dry run of a profile on the page: matching only, nothing is filled or clicked
+    async previewProfile(profileId, tabId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!profile) {
+            return { success: false, error: 'Profile not found' };
+        }
+        if (!tabId) {
+            return { success: false, error: 'No active tab' };
+        }
 
         try {
-            console.log(`🔗 Executing profile in chain: ${profile.name} (depth: ${chainContext.depth})`);
-            
-            // Send profile to content script for filling
-            const response = await new Promise((resolve, reject) => {
+            return await new Promise((resolve, reject) => {
                 chrome.tabs.sendMessage(tabId, {
-                    action: 'fillForm',
+                    action: 'previewForm',
                     profile: profile
                 }, (response) => {
                     if (chrome.runtime.lastError) {
@@ -273,31 +870,144 @@ class AutoFillBackground {
                     }
                 });
             });
+        } catch (error) {
+            console.error('Error previewing profile:', error);
+            return { success: false, error: error.message };
+        }
+    }
 
-            // Check if chain should continue only on success
-            if (response.success) {
-                // If this profile has a next profile and current filling was successful, execute the chain
-                if (profile.nextProfileId) {
-                    console.log(`🔗 Profile ${profile.name} completed, continuing chain to next profile`);
-                    this.showNotification(`Профіль ${profile.name} ukończony, przechodząc do następnego...`);
-                    
-                    // Execute next profile in chain after a short delay
-                    setTimeout(async () => {
-                        const nextChainContext = {
-                            visited: new Set(chainContext.visited),
-                            depth: chainContext.depth + 1
-                        };
-                        
-                        await this.fillFormWithProfile(profile.nextProfileId, tabId, nextChainContext);
-                    }, 1000); // 1 second delay between profile executions
+    // Save the answers currently entered on the page as a new profile
+    async captureFormAsProfile(tabId) {
+        if (!tabId) {
+            throw new Error('No active tab');
+        }
+
+        const response = await new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(tabId, {
+                action: 'captureForm'
+            }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response || { success: false, error: 'No response from content script' });
                 }
-            }
+            });
+        });
 
-            return response;
-        } catch (error) {
-            console.error('Error filling form:', error);
-            return { success: false, error: error.message };
+        if (!response.success) {
+            throw new Error(response.error || 'Capture failed');
         }
+        if (response.profile.fields.length === 0) {
+            throw new Error('No answered questions on this page');
+        }
+
+        const profile = await this.saveProfile(response.profile);
+        this.updateContextMenuProfiles();
+        console.log(`📸 Captured ${profile.fields.length} fields into profile: ${profile.name}`);
+        this.showNotification(`Zapisano profil ${profile.name} (${profile.fields.length} pól)`, 'success');
+        return profile;
+    }
+
+    // Recording Mode
+    // State lives in session storage so it survives service worker restarts between pages
+    async loadRecording() {
+        const result = await chrome.storage.session.get(['autofillRecording']);
+        return result.autofillRecording || null;
+    }
+
+    async saveRecording(recording) {
+        if (recording) {
+            await chrome.storage.session.set({ autofillRecording: recording });
+        } else {
+            await chrome.storage.session.remove('autofillRecording');
+        }
+    }
+
+    async startRecording(tabId) {
+        if (!tabId) {
+            throw new Error('No active tab');
+        }
+        if (await this.loadRecording()) {
+            throw new Error('Recording already in progress');
+        }
+
+        await this.saveRecording({ tabId, startedAt: Date.now(), pages: [] });
+        chrome.action.setBadgeText({ text: 'REC', tabId });
+        chrome.action.setBadgeBackgroundColor({ color: '#dc3545', tabId });
+        console.log(`⏺️ Recording started in tab ${tabId}`);
+
+        await new Promise((resolve) => {
+            chrome.tabs.sendMessage(tabId, { action: 'startRecording', settings: this.settings }, () => {
+                if (chrome.runtime.lastError) {
+                    // The page picks the recording up when its content script loads
+                    console.debug('Content script not available for recording:', chrome.runtime.lastError.message);
+                }
+                resolve();
+            });
+        });
+    }
+
+    async addRecordedPage(tabId, page) {
+        const recording = await this.loadRecording();
+        if (!recording || recording.tabId !== tabId) return;
+
+        recording.pages.push(page);
+        await this.saveRecording(recording);
+        console.log(`⏺️ Recorded page ${recording.pages.length}: ${page.fields.length} answers`);
+    }
+
+    // Stop recording, collect the current page and turn every recorded page into a chained profile
+    async stopRecording() {
+        const recording = await this.loadRecording();
+        if (!recording) {
+            throw new Error('Recording is not active');
+        }
+
+        const lastPage = await new Promise((resolve) => {
+            chrome.tabs.sendMessage(recording.tabId, { action: 'stopRecording' }, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.warn('Could not read the last recorded page:', chrome.runtime.lastError.message);
+                    resolve(null);
+                } else {
+                    resolve(response && response.success ? response.page : null);
+                }
+            });
+        });
+        if (lastPage) {
+            recording.pages.push(lastPage);
+        }
+
+        await this.saveRecording(null);
+        chrome.action.setBadgeText({ text: '', tabId: recording.tabId });
+
+        const profiles = await this.createRecordedProfiles(recording.pages.filter(page => page.fields.length > 0));
+        console.log(`⏹️ Recording stopped: ${profiles.length} profiles created`);
+        return profiles;
+    }
+
+    async createRecordedProfiles(pages) {
+        // Ids are known upfront so every page can point at the next one
+        const ids = pages.map(() => this.generateProfileId());
+        const baseName = pages.length > 0 ? (pages[0].title || 'Nagrany formularz') : '';
+        const profiles = [];
+
+        for (let i = 0; i < pages.length; i++) {
+            const profile = await this.saveProfile({
+                id: ids[i],
+                name: pages.length > 1 ? `${baseName} - strona ${i + 1}` : baseName,
+                description: `Nagrano z ${pages[i].url}`,
+                shortcut: '',
+                autoFillOfficeForms: false,
+                nextProfileId: ids[i + 1] || null,
+                fields: pages[i].fields
+            });
+            profiles.push(profile);
+        }
+
+        if (profiles.length > 0) {
+            this.updateContextMenuProfiles();
+        }
+        return profiles;
     }
 
     async detectFormFields(tabId) {
@@ -351,6 +1061,23 @@ class AutoFillBackground {
             case 'show-help':
                 await this.showHelpOverlay(activeTab.id);
                 break;
+
+            case 'fill-last-used':
+                await this.fillWithLastUsedProfile(activeTab.id);
+                break;
+
+            case 'fill-most-used':
+            case 'fill-top-1':
+                await this.fillWithMostUsedProfile(0, activeTab.id);
+                break;
+
+            case 'fill-top-2':
+                await this.fillWithMostUsedProfile(1, activeTab.id);
+                break;
+
+            case 'fill-top-3':
+                await this.fillWithMostUsedProfile(2, activeTab.id);
+                break;
                 
             case 'open-popup':
                 // This will be handled by the browser automatically
@@ -391,7 +1118,7 @@ class AutoFillBackground {
         
         if (profile) {
             console.log(`Found profile for shortcut ${shortcut}:`, profile.name);
-            await this.fillFormWithProfile(profile.id, tabId);
+            await this.chains.start(profile.id, tabId, 'shortcut');
         } else {
             console.log(`No profile found for shortcut: ${shortcut}`);
         }
@@ -448,7 +1175,7 @@ class AutoFillBackground {
         if (sortedProfiles[index]) {
             const profile = sortedProfiles[index];
             console.log(`Filling with profile ${index + 1}: ${profile.name}`);
-            await this.fillFormWithProfile(profile.id, tabId);
+            await this.chains.start(profile.id, tabId, 'shortcut');
             this.showNotification(`Wypełniono profilem ${index + 1}: ${profile.name}`);
         } else {
             this.showNotification(`Brak profilu na pozycji ${index + 1}`, 'warning');
@@ -483,9 +1210,11 @@ class AutoFillBackground {
 
     async showHelpOverlay(tabId) {
         try {
+            const shortcuts = await this.getShortcutList();
             await new Promise((resolve, reject) => {
                 chrome.tabs.sendMessage(tabId, {
-                    action: 'showHelpOverlay'
+                    action: 'showHelpOverlay',
+                    shortcuts: shortcuts
                 }, (response) => {
                     if (chrome.runtime.lastError) {
                         reject(new Error(chrome.runtime.lastError.message));
@@ -501,6 +1230,20 @@ class AutoFillBackground {
         }
     }
 
+    // [keys, description] pairs for the help sheet: extension commands as bound by the user, then profile shortcuts
+    async getShortcutList() {
+        const commands = await chrome.commands.getAll();
+        const shortcuts = commands
+            .filter(command => command.shortcut)
+            .map(command => [command.shortcut, command.description || 'Otwórz AutoFill']);
+
+        this.profiles
+            .filter(profile => profile.shortcut)
+            .forEach(profile => shortcuts.push([profile.shortcut, profile.name]));
+        shortcuts.push(['Ctrl+Alt+Shift+1-9', 'Podgląd profilu bez wypełniania']);
+        return shortcuts;
+    }
+
     showNotification(message, type = 'info') {
         // Send notification to content script
         chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -544,12 +1287,13 @@ class AutoFillBackground {
             });
 
             chrome.contextMenus.create({
-                id: 'autofill-last-used',
-                title: 'Użyj ostatnio używanego profilu',
-                parentId: 'autofill-main',
-                contexts: ['editable']
+                id: 'autofill-capture',
+                title: 'Zapisz ten formularz jako profil',
+                contexts: ['page', 'editable']
             });
 
+            this.createUsageContextMenus();
+
             chrome.contextMenus.create({
                 id: 'autofill-separator',
                 type: 'separator',
@@ -573,6 +1317,26 @@ class AutoFillBackground {
         }
     }
 
+    // Last used / most used entries, titled with the profile they would run
+    createUsageContextMenus() {
+        const lastUsed = this.getLastUsedProfile();
+        const mostUsed = this.getMostUsedProfiles(1)[0];
+
+        chrome.contextMenus.create({
+            id: 'autofill-last-used',
+            title: lastUsed ? `Użyj ostatnio używanego profilu (${lastUsed.name})` : 'Użyj ostatnio używanego profilu',
+            parentId: 'autofill-main',
+            contexts: ['editable']
+        });
+
+        chrome.contextMenus.create({
+            id: 'autofill-most-used',
+            title: mostUsed ? `Użyj najczęściej używanego profilu (${mostUsed.name})` : 'Użyj najczęściej używanego profilu',
+            parentId: 'autofill-main',
+            contexts: ['editable']
+        });
+    }
+
     updateContextMenuProfiles() {
         if (!this.contextMenusEnabled) {
             return;
@@ -623,12 +1387,13 @@ class AutoFillBackground {
             });
 
             chrome.contextMenus.create({
-                id: 'autofill-last-used',
-                title: 'Użyj ostatnio używanego profilu',
-                parentId: 'autofill-main',
-                contexts: ['editable']
+                id: 'autofill-capture',
+                title: 'Zapisz ten formularz jako profil',
+                contexts: ['page', 'editable']
             });
 
+            this.createUsageContextMenus();
+
             chrome.contextMenus.create({
                 id: 'autofill-separator',
                 type: 'separator',
@@ -657,10 +1422,19 @@ class AutoFillBackground {
 
     async handleContextMenuClick(info, tab) {
         if (info.menuItemId === 'autofill-last-used') {
-            await this.fillWithLastUsedProfile(tab.id);
+            await this.fillWithLastUsedProfile(tab.id, 'context-menu');
+        } else if (info.menuItemId === 'autofill-most-used') {
+            await this.fillWithMostUsedProfile(0, tab.id, 'context-menu');
+        } else if (info.menuItemId === 'autofill-capture') {
+            try {
+                await this.captureFormAsProfile(tab.id);
+            } catch (error) {
+                console.error('Error capturing form:', error);
+                this.showNotification(`Nie udało się zapisać formularza: ${error.message}`, 'error');
+            }
         } else if (info.menuItemId.startsWith('profile-')) {
             const profileId = info.menuItemId.replace('profile-', '');
-            await this.fillFormWithProfile(profileId, tab.id);
+            await this.chains.start(profileId, tab.id, 'context-menu');
         }
     }
 
@@ -722,6 +1496,8 @@ class AutoFillBackground {
                 shortcut: profile.shortcut || '',
                 autoFillOfficeForms: profile.autoFillOfficeForms || false,
                 nextProfileId: profile.nextProfileId || null,
+                matchThreshold: profile.matchThreshold || null,
+                submitPolicy: profile.submitPolicy || '',
                 fields: profile.fields || [],
                 displayOrder: typeof profile.displayOrder === 'number' ? profile.displayOrder : this.getNextDisplayOrder(),
                 createdAt: profile.createdAt || Date.now(),
@@ -730,11 +1506,7 @@ class AutoFillBackground {
             };
             
             // Clean fields - only include necessary properties
-            cleanedProfile.fields = cleanedProfile.fields.map(field => ({
-                name: field.name || '',
-                type: field.type || 'text',
-                value: field.value || ''
-            }));
+            cleanedProfile.fields = cleanedProfile.fields.map(field => this.cleanField(field));
             
             return cleanedProfile;
         });
@@ -786,6 +1558,8 @@ class AutoFillBackground {
                 shortcut: profile.shortcut || '',
                 autoFillOfficeForms: profile.autoFillOfficeForms || false,
                 nextProfileId: profile.nextProfileId || null,
+                matchThreshold: profile.matchThreshold || null,
+                submitPolicy: profile.submitPolicy || '',
                 fields: profile.fields || [],
                 displayOrder: profile.displayOrder || 0,
                 createdAt: profile.createdAt || Date.now(),
@@ -793,11 +1567,7 @@ class AutoFillBackground {
             };
             
             // Clean fields - only include necessary properties
-            cleanedProfile.fields = cleanedProfile.fields.map(field => ({
-                name: field.name || '',
-                type: field.type || 'text',
-                value: field.value || ''
-            }));
+            cleanedProfile.fields = cleanedProfile.fields.map(field => this.cleanField(field));
             
             return cleanedProfile;
         });
@@ -819,6 +1589,34 @@ class AutoFillBackground {
         return exportData;
     }
 
+    // Keep only the field properties the content script understands
+    cleanField(field) {
+        const cleaned = {
+            name: field.name || '',
+            type: field.type || 'text',
+            value: field.value ?? '' // Keep numeric 0 (NPS) and structured values
+        };
+        
+        // How the question is located (fuzzy title match is the default)
+        if (field.matchStrategy && field.matchStrategy !== 'fuzzy') {
+            cleaned.matchStrategy = field.matchStrategy;
+            cleaned.matchValue = field.matchValue ?? '';
+        }
+        
+        // Scope for labels repeated across sections or within one
+        if (field.section) {
+            cleaned.section = field.section;
+        }
+        if (field.occurrence) {
+            cleaned.occurrence = field.occurrence;
+        }
+        if (field.typing) {
+            cleaned.typing = true;
+        }
+        
+        return cleaned;
+    }
+
     analyzeChains() {
         const chains = [];
         const processed = new Set();
@@ -6,229 +6,2051 @@
 
     console.log('AutoFill Content Script v3.0 loaded');
 
+    // Check if element is visible (shared by adapters and the content script)
+    function isElementVisible(element) {
+        const style = window.getComputedStyle(element);
+        return style.display !== 'none' && 
+               style.visibility !== 'hidden' && 
+               !element.disabled;
+    }
+
+    // Visible text of a button-like element
+    function getButtonLabel(button) {
+        return (button.textContent || button.value || button.getAttribute('aria-label') || '').trim();
+    }
+
+    // A navigation label matches when it is the whole button text, optionally followed by one more word
+    // ("Next", "Wyślij →", "Submit form") - never a word somewhere inside a longer text
+    function matchesNavigationLabel(label, patterns) {
+        const text = normalizeQuestionText(label);
+        if (!text) return false;
+        return patterns.some(pattern => {
+            const wanted = normalizeQuestionText(pattern);
+            if (!wanted) return false;
+            if (text === wanted) return true;
+            const rest = text.startsWith(`${wanted} `) ? text.slice(wanted.length + 1) : null;
+            return rest !== null && !rest.includes(' ');
+        });
+    }
+
+    // How long the page gets to settle before filled answers are read back
+    const VERIFY_SETTLE_DELAY = 300;
+
+    // How long Next/Submit gets to show validation errors or move to another page
+    const PAGE_TRANSITION_TIMEOUT = 10000;
+
+    // A page counts as stable once its DOM stayed unchanged this long
+    const DOM_QUIET_PERIOD = 300;
+
+    // How long to wait for the questions of a new page to appear and settle
+    const PAGE_READY_TIMEOUT = 10000;
+
+    // Navigation buttons a profile may press when neither it nor the global settings choose:
+    // 'none', 'next' (never Submit), 'submit' or 'confirm' (Submit only after an in-page confirmation)
+    const DEFAULT_SUBMIT_POLICY = 'confirm';
+
+    // Question titles must score at least this similarity to match a field (profiles can override it)
+    const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+    // Normalize question text for matching: case, diacritics, numbering, required markers, punctuation
+    function normalizeQuestionText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/ł/g, 'l') // does not decompose under NFD
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/^\s*\d+\s*[.)]\s*/, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Similarity of two normalized texts in the range 0..1
+    function textSimilarity(wanted, candidate) {
+        if (!wanted || !candidate) return 0;
+        if (wanted === candidate) return 1;
+        // Field names are often a part of a longer question title
+        if (` ${candidate} `.includes(` ${wanted} `)) return 0.9;
+
+        // Dice coefficient over character bigrams tolerates typos and small rewordings
+        const bigrams = (text) => {
+            const result = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const pair = text.slice(i, i + 2);
+                result.set(pair, (result.get(pair) || 0) + 1);
+            }
+            return result;
+        };
+        const a = bigrams(wanted);
+        const b = bigrams(candidate);
+        let overlap = 0;
+        a.forEach((count, pair) => {
+            overlap += Math.min(count, b.get(pair) || 0);
+        });
+        const total = Math.max(wanted.length - 1, 0) + Math.max(candidate.length - 1, 0);
+        return total > 0 ? (2 * overlap) / total : 0;
+    }
+
+    // Narrow matched candidates ({ score, ... }, in document order) by section title and pick one
+    function pickCandidate(candidates, field, threshold, getSectionTitle) {
+        let scoped = candidates;
+        if (field.section) {
+            const wanted = normalizeQuestionText(field.section);
+            scoped = scoped.filter(candidate =>
+                textSimilarity(wanted, normalizeQuestionText(getSectionTitle(candidate))) >= threshold);
+        }
+        if (scoped.length === 0) return null;
+
+        // The occurrence counts every candidate above the threshold in document order, the way
+        // detection numbers repeated labels; without one the best score wins
+        const occurrence = parseInt(field.occurrence, 10);
+        if (occurrence > 0) return scoped[occurrence - 1] || null;
+        const bestScore = Math.max(...scoped.map(candidate => candidate.score));
+        return scoped.find(candidate => candidate.score === bestScore);
+    }
+
+    // Site adapters: everything that depends on how a form vendor renders its DOM.
+    // The content script only talks to the adapter picked for the current hostname.
+    class SiteAdapter {
+        static matches(hostname) {
+            return false;
+        }
+
+        get name() {
+            return 'generic';
+        }
+
+        // CSS selector of one question block
+        get questionSelector() {
+            return null;
+        }
+
+        // CSS selector of section headers that group questions
+        get sectionSelector() {
+            return null;
+        }
+
+        // Resolve a field outside question containers; returns { element, score } or null
+        findFieldElement(field, threshold) {
+            return null;
+        }
+
+        // XPath fragment for the widget kind of a field type
+        getElementType(fieldType) {
+            switch (fieldType) {
+                case 'radio': return 'input[@type="radio"]';
+                case 'checkbox': return 'input[@type="checkbox"]';
+                case 'dropdown': return '*[self::select or @role="combobox" or @role="listbox" or @aria-haspopup="listbox"]';
+                case 'rating':
+                case 'likert':
+                case 'nps': return '*[@role="radio" or (self::input and @type="radio")]';
+                case 'ranking': return '*[@role="listitem" or @role="option" or self::li]';
+                case 'date': return 'input';
+                case 'longtext': return 'textarea';
+                // Plain text resolves to whichever text control the question renders
+                default: return '*[self::input or self::textarea]';
+            }
+        }
+
+        getQuestionContainers() {
+            return this.questionSelector ? Array.from(document.querySelectorAll(this.questionSelector)) : [];
+        }
+
+        getQuestionContainer(element) {
+            return this.questionSelector ? element.closest(this.questionSelector) : null;
+        }
+
+        getQuestionTitle(container) {
+            return container ? container.textContent.trim() : '';
+        }
+
+        // Name of a text-like widget: its question title, else the text its aria-labelledby points at
+        getFieldLabel(input, container) {
+            return this.getQuestionTitle(container) || this.getLabelledByText(input);
+        }
+
+        getLabelledByText(element) {
+            const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+            return ids.map(id => {
+                const labelElement = document.getElementById(id);
+                return labelElement ? labelElement.textContent : '';
+            }).join(' ').trim();
+        }
+
+        // Title of the last section header before the node in document order
+        getSectionTitle(node) {
+            if (!node || !this.sectionSelector) return '';
+            let title = '';
+            document.querySelectorAll(this.sectionSelector).forEach(section => {
+                if (section.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                    title = section.textContent.trim();
+                }
+            });
+            return title;
+        }
+
+        // Stable identifier of a question that survives title edits
+        getQuestionId(container) {
+            if (!container) return '';
+            if (container.id) return container.id;
+            const withId = container.querySelector('[id]');
+            return withId ? withId.id : '';
+        }
+
+        // Whether an ID from getQuestionId is the form's own and survives page reloads;
+        // generated element ids are not
+        isStableQuestionId(id) {
+            return false;
+        }
+
+        // Radio-like options: native radios or ARIA radios (stars, scale buttons).
+        // element is the widget the field resolved to, when known
+        getChoiceOptions(container, element = null) {
+            const natives = Array.from(container.querySelectorAll('input[type="radio"]'));
+            return natives.length > 0 ? natives : Array.from(container.querySelectorAll('[role="radio"]'));
+        }
+
+        getCheckboxOptions(container, element = null) {
+            const natives = Array.from(container.querySelectorAll('input[type="checkbox"]'));
+            return natives.length > 0 ? natives : Array.from(container.querySelectorAll('[role="checkbox"]'));
+        }
+
+        // Get the visible label of a radio/checkbox option
+        getOptionLabel(option) {
+            const label = option.closest('label');
+            const text = (label && label.textContent) ||
+                         option.getAttribute('aria-label') ||
+                         option.getAttribute('data-value') ||
+                         option.getAttribute('data-answer-value') ||
+                         option.value || '';
+            return text.trim();
+        }
+
+        isChoiceSelected(option) {
+            return option.checked === true || option.getAttribute('aria-checked') === 'true';
+        }
+
+        // Collect visible options of an opened listbox; popups are often rendered outside the question
+        getListboxOptions(element) {
+            const ownedId = element.getAttribute('aria-controls') || element.getAttribute('aria-owns');
+            const listbox = (ownedId && document.getElementById(ownedId)) ||
+                            (element.getAttribute('role') === 'listbox' ? element : null);
+            const scope = listbox || document;
+            return Array.from(scope.querySelectorAll('[role="option"]')).filter(option => isElementVisible(option));
+        }
+
+        // Check whether a dropdown widget reports the given option as selected
+        isDropdownValueSelected(element, label) {
+            const wanted = label.toLowerCase();
+            const shown = (element.value || element.textContent || '').trim().toLowerCase();
+            if (shown.includes(wanted)) return true;
+
+            const selectedOption = this.getListboxOptions(element).find(option => option.getAttribute('aria-selected') === 'true');
+            return !!selectedOption && selectedOption.textContent.trim().toLowerCase() === wanted;
+        }
+
+        // Inline messages a form shows next to rejected questions
+        get validationSelector() {
+            return '[role="alert"]';
+        }
+
+        // Visible validation messages as { element, container, message }; container is the question or null.
+        // button is the Next/Submit button that was clicked: only messages inside a question or its form count,
+        // page-wide banners are no answer to the click
+        getValidationErrors(button = null) {
+            const form = button && button.form;
+            return this.getValidationMessages()
+                .map(element => ({
+                    element,
+                    container: this.getQuestionContainer(element),
+                    message: element.textContent.trim()
+                }))
+                .filter(error => error.container || (form && form.contains(error.element)));
+        }
+
+        // Visible elements matching validationSelector, wherever they are
+        getValidationMessages() {
+            return Array.from(document.querySelectorAll(this.validationSelector))
+                .filter(element => isElementVisible(element) && element.textContent.trim());
+        }
+
+        // Find the Next or Submit button; returns { button, kind, via, label } or null.
+        // Stable adapter attributes win; labels is the user's per-language pattern list
+        // ([{ language, next: [...], submit: [...] }]) used as the fallback
+        findNavigationButton(labels = []) {
+            const byAttributes = this.findNavigationByAttributes();
+            if (byAttributes) {
+                return { ...byAttributes, via: 'attribute', label: getButtonLabel(byAttributes.button) };
+            }
+            return this.findNavigationByLabel(labels);
+        }
+
+        // Adapter specific { button, kind } found through stable attributes, or null
+        findNavigationByAttributes() {
+            return null;
+        }
+
+        findNavigationByLabel(labels) {
+            const buttons = Array.from(document.querySelectorAll('button, input[type="submit"], input[type="button"], [role="button"]'))
+                .filter(button => isElementVisible(button) && button.getAttribute('aria-disabled') !== 'true');
+            console.log(`📋 Checking ${buttons.length} buttons against navigation labels`);
+
+            // Footer buttons come after the questions, so the last match is the most likely one
+            for (const kind of ['next', 'submit']) {
+                const patterns = labels.flatMap(language => language[kind] || []);
+                const matches = buttons.filter(button => matchesNavigationLabel(getButtonLabel(button), patterns));
+                if (matches.length > 0) {
+                    const button = matches[matches.length - 1];
+                    const language = labels.find(entry => matchesNavigationLabel(getButtonLabel(button), entry[kind] || []));
+                    return { button, kind, via: `label:${language ? language.language : '?'}`, label: getButtonLabel(button) };
+                }
+            }
+            return null;
+        }
+    }
+
+    class MicrosoftFormsAdapter extends SiteAdapter {
+        static matches(hostname) {
+            return hostname.includes('forms.office') || 
+                   hostname.includes('forms.cloud.microsoft') ||
+                   hostname.includes('forms.microsoft');
+        }
+
+        get name() {
+            return 'microsoft-forms';
+        }
+
+        get questionSelector() {
+            return 'div[data-automation-id="questionItem"]';
+        }
+
+        get sectionSelector() {
+            return '[data-automation-id="sectionTitle"]';
+        }
+
+        getQuestionTitle(container) {
+            const title = container && container.querySelector('[data-automation-id="questionTitle"]');
+            return title ? title.textContent.trim() : super.getQuestionTitle(container);
+        }
+
+        get validationSelector() {
+            return '[data-automation-id="errorMessage"], [role="alert"]';
+        }
+
+        // Question ids look like "QuestionId_r1a2b3..." on the question's inner block
+        getQuestionId(container) {
+            const question = container && container.querySelector('[id^="QuestionId_"]');
+            return question ? question.id : super.getQuestionId(container);
+        }
+
+        isStableQuestionId(id) {
+            return /^QuestionId_/.test(id);
+        }
+
+        findNavigationByAttributes() {
+            const next = document.querySelector('button[data-automation-id="nextButton"]');
+            if (next) return { button: next, kind: 'next' };
+            const submit = document.querySelector('button[data-automation-id="submitButton"]');
+            if (submit) return { button: submit, kind: 'submit' };
+            return null;
+        }
+    }
+
+    class GoogleFormsAdapter extends SiteAdapter {
+        static matches(hostname) {
+            return hostname === 'forms.google.com' ||
+                   (hostname === 'docs.google.com' && window.location.pathname.startsWith('/forms/'));
+        }
+
+        get name() {
+            return 'google-forms';
+        }
+
+        get questionSelector() {
+            return 'div[role="listitem"]';
+        }
+
+        // Section headers use a higher heading level than question titles
+        get sectionSelector() {
+            return 'div[role="heading"][aria-level="2"]';
+        }
+
+        getElementType(fieldType) {
+            switch (fieldType) {
+                case 'radio':
+                case 'rating':
+                case 'likert':
+                case 'nps': return '*[@role="radio"]';
+                case 'checkbox': return '*[@role="checkbox"]';
+                case 'dropdown': return '*[@role="listbox"]';
+                case 'date': return 'input[not(@type="hidden")]';
+                case 'longtext': return 'textarea';
+                // Google keeps submitted values in hidden inputs next to the visible ones
+                default: return '*[(self::input and not(@type="hidden")) or self::textarea]';
+            }
+        }
+
+        getQuestionTitle(container) {
+            const heading = container && container.querySelector('[role="heading"]');
+            return heading ? heading.textContent.replace(/\*\s*$/, '').trim() : super.getQuestionTitle(container);
+        }
+
+        // Answers are posted as "entry.<id>", which stays stable when the question is renamed
+        getQuestionId(container) {
+            const entry = container && container.querySelector('input[name^="entry."]');
+            return entry ? entry.name.replace(/_sentinel$/, '') : super.getQuestionId(container);
+        }
+
+        isStableQuestionId(id) {
+            return /^entry\./.test(id);
+        }
+
+        // The listbox contains every option, so only aria-selected tells which one is picked
+        isDropdownValueSelected(element, label) {
+            const selected = element.querySelector('[role="option"][aria-selected="true"]');
+            const text = selected ? (selected.getAttribute('data-value') || selected.textContent).trim() : '';
+            return text.toLowerCase() === label.toLowerCase();
+        }
+
+        findNavigationByAttributes() {
+            // Stable jsname attributes of the Next and Submit buttons
+            const next = document.querySelector('div[role="button"][jsname="OCpkoe"]');
+            if (next) return { button: next, kind: 'next' };
+            const submit = document.querySelector('div[role="button"][jsname="M2UYVd"]');
+            if (submit) return { button: submit, kind: 'submit' };
+            return null;
+        }
+    }
+
+    // Plain HTML forms: fields are resolved through their labels, ARIA attributes or names
+    class GenericFormAdapter extends SiteAdapter {
+        static matches(hostname) {
+            return true;
+        }
+
+        get name() {
+            return 'generic';
+        }
+
+        // Saved Microsoft Forms pages opened from disk keep working through their question items
+        get questionSelector() {
+            return 'div[data-automation-id="questionItem"], fieldset';
+        }
+
+        get sectionSelector() {
+            return '[data-automation-id="sectionTitle"], legend, h1, h2, h3, h4';
+        }
+
+        // Candidate widgets for a field type
+        getCandidateSelector(fieldType) {
+            switch (fieldType) {
+                case 'radio':
+                case 'rating':
+                case 'nps': return 'input[type="radio"], [role="radio"]';
+                case 'checkbox': return 'input[type="checkbox"], [role="checkbox"]';
+                case 'dropdown': return 'select, [role="combobox"], [role="listbox"]';
+                case 'longtext': return 'textarea';
+                case 'date': return 'input[type="date"], input:not([type]), input[type="text"]';
+                default: return 'input:not([type="hidden"]):not([type="radio"]):not([type="checkbox"]):not([type="submit"]):not([type="button"]), textarea';
+            }
+        }
+
+        findFieldElement(field, threshold) {
+            const wanted = normalizeQuestionText(field.name);
+            if (!wanted) return null;
+
+            const candidates = [];
+            const seenGroups = new Set();
+            document.querySelectorAll(this.getCandidateSelector(field.type)).forEach(element => {
+                if (!isElementVisible(element)) return;
+                // Options of one choice question are one candidate, as detection counts them
+                const isChoice = element.type === 'radio' || element.type === 'checkbox' ||
+                                 ['radio', 'checkbox'].includes(element.getAttribute('role'));
+                const group = isChoice ? (element.name || this.getQuestionContainer(element) || element) : element;
+                if (seenGroups.has(group)) return;
+                seenGroups.add(group);
+                const score = Math.max(0, ...this.getFieldDescriptors(element)
+                    .map(descriptor => textSimilarity(wanted, normalizeQuestionText(descriptor))));
+                if (score >= threshold) {
+                    candidates.push({ element, score });
+                }
+            });
+            return pickCandidate(candidates, field, threshold, candidate => this.getSectionTitle(candidate.element));
+        }
+
+        // Every text that can name a field, in order of reliability
+        getFieldDescriptors(element) {
+            const descriptors = [];
+            const isChoice = element.type === 'radio' || element.type === 'checkbox' ||
+                             ['radio', 'checkbox'].includes(element.getAttribute('role'));
+
+            // Choices are named by their group; their own label is the option text
+            if (isChoice) {
+                const group = this.getQuestionContainer(element);
+                if (group) descriptors.push(this.getQuestionTitle(group));
+            } else {
+                if (element.id) {
+                    const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+                    if (label) descriptors.push(label.textContent);
+                }
+                const parentLabel = element.closest('label');
+                if (parentLabel) descriptors.push(parentLabel.textContent);
+            }
+
+            descriptors.push(element.getAttribute('aria-label'));
+            descriptors.push(this.getLabelledByText(element));
+            descriptors.push(element.getAttribute('placeholder'));
+            descriptors.push(element.getAttribute('name'));
+            return descriptors.filter(text => text && text.trim());
+        }
+
+        // Plain pages label the control itself, and a whole form is no question title;
+        // placeholder and name are the last resort
+        getFieldLabel(input, container) {
+            const explicit = (input.id && document.querySelector(`label[for="${CSS.escape(input.id)}"]`)) || input.closest('label');
+            const title = container && container.tagName !== 'FORM' ? this.getQuestionTitle(container) : '';
+            const text = (explicit && explicit.textContent.trim()) || title || this.getLabelledByText(input) ||
+                         input.getAttribute('aria-label') || input.getAttribute('placeholder') || input.getAttribute('name') || '';
+            return text.trim();
+        }
+
+        getQuestionContainer(element) {
+            return element.closest(`${this.questionSelector}, [role="radiogroup"], [role="group"]`) ||
+                   element.form || null;
+        }
+
+        getQuestionTitle(container) {
+            if (!container) return '';
+            const title = container.querySelector('[data-automation-id="questionTitle"], legend');
+            if (title) return title.textContent.trim();
+            return (container.getAttribute('aria-label') || this.getLabelledByText(container) || '').trim();
+        }
+
+        getQuestionId(container) {
+            if (!container) return '';
+            const named = container.querySelector('[name]');
+            return container.id || (named ? named.getAttribute('name') : '') || super.getQuestionId(container);
+        }
+
+        // A form can hold several native groups, so keep only the group of the resolved widget
+        getChoiceOptions(container, element = null) {
+            return this.filterByGroupName(super.getChoiceOptions(container, element), element);
+        }
+
+        getCheckboxOptions(container, element = null) {
+            return this.filterByGroupName(super.getCheckboxOptions(container, element), element);
+        }
+
+        // Saved Microsoft Forms pages keep their automation ids; a plain form submits through its
+        // last submit control, which is a Next button when its label says so
+        findNavigationByAttributes() {
+            const next = document.querySelector('button[data-automation-id="nextButton"]');
+            if (next) return { button: next, kind: 'next' };
+            const submit = document.querySelector('button[data-automation-id="submitButton"]');
+            if (submit) return { button: submit, kind: 'submit' };
+            return null;
+        }
+
+        findNavigationButton(labels = []) {
+            const found = super.findNavigationButton(labels);
+            if (found) return found;
+
+            const submits = Array.from(document.querySelectorAll('form button:not([type]), form button[type="submit"], form input[type="submit"]'))
+                .filter(button => isElementVisible(button));
+            const button = submits[submits.length - 1];
+            return button ? { button, kind: 'submit', via: 'form-submit', label: getButtonLabel(button) } : null;
+        }
+
+        // Native constraint validation blocks the submit without any visible markup of its own.
+        // A whole form is too wide to point at one question, so such errors keep the control itself
+        getValidationErrors(button = null) {
+            const questionOf = (element) => {
+                const container = this.getQuestionContainer(element);
+                return container && container.tagName !== 'FORM' ? container : null;
+            };
+            const errors = super.getValidationErrors(button).map(error => ({ ...error, container: error.container && error.container.tagName === 'FORM' ? null : error.container }));
+
+            // Without a form the button submits nothing the browser could validate
+            if (!button || !button.form) return errors;
+            button.form.querySelectorAll('input:invalid, textarea:invalid, select:invalid').forEach(element => {
+                if (!element.validationMessage || !isElementVisible(element)) return;
+                errors.push({ element, container: questionOf(element) || element, message: element.validationMessage });
+            });
+            return errors;
+        }
+
+        filterByGroupName(options, element) {
+            if (!element || !element.name) return options;
+            return options.filter(option => option.name === element.name);
+        }
+    }
+
+    // Pick the adapter for a hostname; any other page is treated as a plain HTML form
+    function selectSiteAdapter(hostname) {
+        const adapters = [GoogleFormsAdapter, MicrosoftFormsAdapter, GenericFormAdapter];
+        const Adapter = adapters.find(candidate => candidate.matches(hostname));
+        return new Adapter();
+    }
+
+    // Widgets that can answer a question, and input types that never do
+    const FIELD_WIDGET_SELECTOR = 'input, textarea, select, [role="radio"], [role="checkbox"], [role="listbox"]';
+    const NON_FIELD_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+    // Input types the browser only accepts as a complete value, never keystroke by keystroke
+    const SINGLE_VALUE_INPUT_TYPES = ['date', 'time', 'datetime-local', 'month', 'week', 'number'];
+
+    // Styles of the in-page overlay; they live in a shadow root so page CSS cannot reach them
+    const OVERLAY_STYLES = `
+        :host { all: initial; }
+        .toasts {
+            position: fixed; top: 20px; right: 20px; z-index: 2147483647;
+            display: flex; flex-direction: column; gap: 8px;
+            font-family: 'Segoe UI', Arial, sans-serif; font-size: 14px;
+        }
+        .toast {
+            color: white; padding: 12px 20px; border-radius: 8px; max-width: 360px;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+        }
+        .toast.info { background: #2196F3; }
+        .toast.success { background: #4CAF50; }
+        .toast.warning { background: #ff9800; }
+        .toast.error { background: #dc3545; }
+        .backdrop {
+            position: fixed; inset: 0; z-index: 2147483646; background: rgba(0,0,0,0.35);
+            display: flex; align-items: center; justify-content: center;
+            font-family: 'Segoe UI', Arial, sans-serif; font-size: 13px; color: #333;
+        }
+        .panel {
+            background: white; border-radius: 12px; width: 560px; max-height: 80vh;
+            display: flex; flex-direction: column; box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+        }
+        .panel-header {
+            display: flex; justify-content: space-between; align-items: center;
+            padding: 14px 18px; border-bottom: 2px solid #f0f0f0;
+        }
+        .panel-header h2 { margin: 0; font-size: 16px; font-weight: 600; }
+        .panel-body { padding: 12px 18px; overflow-y: auto; }
+        .panel-footer {
+            display: flex; gap: 8px; align-items: center; padding: 12px 18px; border-top: 1px solid #e1e5e9;
+        }
+        .row { display: flex; gap: 8px; align-items: center; padding: 6px 0; border-bottom: 1px solid #f0f0f0; }
+        .row:last-child { border-bottom: none; }
+        .row .name { flex: 1; }
+        .meta { color: #999; font-size: 11px; }
+        kbd {
+            background: #e1e5e9; border-radius: 4px; padding: 2px 6px; font-family: monospace; font-size: 12px;
+        }
+        button {
+            border: none; border-radius: 6px; padding: 7px 14px; cursor: pointer; font-size: 13px;
+            background: #667eea; color: white;
+        }
+        button.secondary { background: #e1e5e9; color: #333; }
+        button.close { background: transparent; color: #666; font-size: 20px; padding: 0 6px; }
+        select { flex: 1; padding: 6px; border: 2px solid #e1e5e9; border-radius: 6px; }
+        .preview-layer { position: absolute; top: 0; left: 0; z-index: 2147483645; pointer-events: none; }
+        .outline {
+            position: absolute; border: 2px dashed #667eea; border-radius: 6px; background: rgba(102, 126, 234, 0.06);
+        }
+        .badge {
+            position: absolute; top: -12px; right: 8px; max-width: 320px; overflow: hidden; text-overflow: ellipsis;
+            white-space: nowrap; background: #667eea; color: white; border-radius: 10px; padding: 2px 8px;
+            font-family: 'Segoe UI', Arial, sans-serif; font-size: 12px;
+        }
+        .preview-card {
+            position: fixed; bottom: 20px; right: 20px; z-index: 2147483646; width: 320px; max-height: 50vh;
+            background: white; border-radius: 12px; box-shadow: 0 8px 32px rgba(0,0,0,0.25); overflow-y: auto;
+            font-family: 'Segoe UI', Arial, sans-serif; font-size: 13px; color: #333;
+        }
+        .preview-card .missing { color: #dc3545; }
+    `;
+
+    // Shadow-DOM overlay for toasts, the shortcut help sheet and the detected fields panel
+    class AutoFillOverlay {
+        constructor() {
+            this.host = null;
+            this.root = null;
+            this.toasts = null;
+            this.panel = null;
+            this.panelOnClose = null;
+            this.preview = null;
+            this.onKeyDown = (e) => {
+                if (e.key === 'Escape') this.closePanel();
+            };
+            this.onPreviewKeyDown = (e) => {
+                if (e.key === 'Escape') this.closePreview();
+            };
+        }
+
+        // Create the host lazily so pages that are never filled stay untouched
+        ensureRoot() {
+            if (this.host && this.host.isConnected) return this.root;
+            this.host = document.createElement('div');
+            this.host.id = 'autofill-overlay-host';
+            this.root = this.host.attachShadow({ mode: 'open' });
+            const style = document.createElement('style');
+            style.textContent = OVERLAY_STYLES;
+            this.toasts = this.createElement('div', 'toasts');
+            this.root.append(style, this.toasts);
+            document.documentElement.appendChild(this.host);
+            return this.root;
+        }
+
+        createElement(tag, className = '', text = '') {
+            const element = document.createElement(tag);
+            if (className) element.className = className;
+            if (text) element.textContent = text;
+            return element;
+        }
+
+        // Typed toast: info, success, warning or error
+        toast(message, type = 'info', duration = 3000) {
+            this.ensureRoot();
+            const toast = this.createElement('div', `toast ${type}`, message);
+            this.toasts.appendChild(toast);
+            setTimeout(() => toast.remove(), duration);
+        }
+
+        // Modal panel with a title, a body and optional footer; replaces any open panel.
+        // onClose runs once when the panel goes away
+        openPanel(title, body, footer = null, onClose = null) {
+            this.closePanel();
+            this.panelOnClose = onClose;
+            const root = this.ensureRoot();
+
+            const backdrop = this.createElement('div', 'backdrop');
+            const panel = this.createElement('div', 'panel');
+            const header = this.createElement('div', 'panel-header');
+            const close = this.createElement('button', 'close', '×');
+            close.addEventListener('click', () => this.closePanel());
+            header.append(this.createElement('h2', '', title), close);
+
+            body.classList.add('panel-body');
+            panel.append(header, body);
+            if (footer) {
+                footer.classList.add('panel-footer');
+                panel.appendChild(footer);
+            }
+            backdrop.appendChild(panel);
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) this.closePanel();
+            });
+
+            root.appendChild(backdrop);
+            this.panel = backdrop;
+            document.addEventListener('keydown', this.onKeyDown, true);
+        }
+
+        closePanel() {
+            if (!this.panel) return;
+            this.panel.remove();
+            this.panel = null;
+            document.removeEventListener('keydown', this.onKeyDown, true);
+            const onClose = this.panelOnClose;
+            this.panelOnClose = null;
+            if (onClose) onClose();
+        }
+
+        // Dry-run preview: outline matched questions with the value they would get and list unmatched fields.
+        // matches is a list of { element, value }
+        showPreview(title, matches, unmatched) {
+            this.closePreview();
+            const root = this.ensureRoot();
+
+            const layer = this.createElement('div', 'preview-layer');
+            matches.forEach(({ element, value }) => {
+                const rect = element.getBoundingClientRect();
+                const outline = this.createElement('div', 'outline');
+                outline.style.top = `${rect.top + window.scrollY}px`;
+                outline.style.left = `${rect.left + window.scrollX}px`;
+                outline.style.width = `${rect.width}px`;
+                outline.style.height = `${rect.height}px`;
+                const badge = this.createElement('div', 'badge', value || '—');
+                badge.title = value;
+                outline.appendChild(badge);
+                layer.appendChild(outline);
+            });
+
+            const card = this.createElement('div', 'preview-card');
+            const header = this.createElement('div', 'panel-header');
+            const close = this.createElement('button', 'close', '×');
+            close.addEventListener('click', () => this.closePreview());
+            header.append(this.createElement('h2', '', `Предпросмотр: ${title}`), close);
+            const body = this.createElement('div', 'panel-body');
+            body.appendChild(this.createElement('div', '', `Найдено ${matches.length} из ${matches.length + unmatched.length} полей. Форма не изменена.`));
+            unmatched.forEach(name => body.appendChild(this.createElement('div', 'row missing', `🚫 ${name}`)));
+            card.append(header, body);
+
+            root.append(layer, card);
+            this.preview = [layer, card];
+            document.addEventListener('keydown', this.onPreviewKeyDown, true);
+        }
+
+        closePreview() {
+            if (!this.preview) return;
+            this.preview.forEach(element => element.remove());
+            this.preview = null;
+            document.removeEventListener('keydown', this.onPreviewKeyDown, true);
+        }
+
+        // Rejected questions after Next/Submit; errors is a list of { question, message, field }
+        showValidationErrors(errors) {
+            const body = this.createElement('div');
+            errors.forEach(({ question, message, field }) => {
+                const row = this.createElement('div', 'row');
+                const text = this.createElement('span', 'name', question || message);
+                row.append(text, this.createElement('span', 'meta', field ? `поле: ${field}` : 'нет поля в профиле'));
+                if (question) {
+                    text.appendChild(this.createElement('div', 'missing', message));
+                }
+                body.appendChild(row);
+            });
+            this.openPanel('Форма не принята', body);
+        }
+
+        // Confirmation before Submit; answers is a list of { name, value, filled }. Resolves true to submit
+        confirmSubmit(title, answers) {
+            return new Promise(resolve => {
+                const body = this.createElement('div');
+                answers.forEach(({ name, value, filled }) => {
+                    const row = this.createElement('div', 'row');
+                    row.append(
+                        this.createElement('span', 'name', `${filled ? '✅' : '❌'} ${name}`),
+                        this.createElement('span', 'meta', value || '—')
+                    );
+                    body.appendChild(row);
+                });
+
+                const footer = this.createElement('div');
+                const submit = this.createElement('button', '', 'Отправить форму');
+                const cancel = this.createElement('button', 'secondary', 'Отмена');
+                submit.addEventListener('click', () => {
+                    resolve(true);
+                    this.closePanel();
+                });
+                cancel.addEventListener('click', () => this.closePanel());
+                footer.append(submit, cancel);
+
+                // Any other way of closing the panel cancels the submit
+                this.openPanel(`Отправить форму? (${title})`, body, footer, () => resolve(false));
+            });
+        }
+
+        // Shortcut help sheet; shortcuts is a list of [keys, description]
+        showHelp(shortcuts) {
+            const body = this.createElement('div');
+            shortcuts.forEach(([keys, description]) => {
+                const row = this.createElement('div', 'row');
+                row.append(this.createElement('kbd', '', keys), this.createElement('span', 'name', description));
+                body.appendChild(row);
+            });
+            this.openPanel('AutoFill - горячие клавиши', body);
+        }
+
+        // Detected fields with checkboxes; onCopy(selectedFields, profileId) saves them, '' means a new profile
+        showDetectedFields(fields, profiles, onCopy) {
+            const body = this.createElement('div');
+            if (fields.length === 0) {
+                body.appendChild(this.createElement('div', 'meta', 'На этой странице не найдено полей формы'));
+                this.openPanel('Обнаруженные поля', body);
+                return;
+            }
+
+            const checkboxes = fields.map(field => {
+                const row = this.createElement('label', 'row');
+                const checkbox = this.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                const details = [field.type, field.section, field.occurrence ? `#${field.occurrence}` : '', field.questionId ? `ID ${field.questionId}` : ''].filter(Boolean).join(' · ');
+                row.append(checkbox, this.createElement('span', 'name', field.name), this.createElement('span', 'meta', details));
+                body.appendChild(row);
+                return checkbox;
+            });
+
+            const footer = this.createElement('div');
+            const target = this.createElement('select');
+            target.appendChild(new Option('Новый профиль', ''));
+            profiles.forEach(profile => target.appendChild(new Option(profile.name, profile.id)));
+            const copy = this.createElement('button', '', 'Скопировать в профиль');
+            copy.addEventListener('click', async () => {
+                const selected = fields.filter((field, index) => checkboxes[index].checked);
+                if (selected.length === 0) {
+                    this.toast('Не выбрано ни одного поля', 'warning');
+                    return;
+                }
+                copy.disabled = true;
+                try {
+                    await onCopy(selected, target.value);
+                    this.closePanel();
+                } finally {
+                    copy.disabled = false;
+                }
+            });
+            footer.append(target, copy);
+
+            this.openPanel(`Обнаруженные поля (${fields.length})`, body, footer);
+        }
+    }
+
     // Core AutoFill class
     class AutoFillContentScript {
         constructor() {
             this.profiles = [];
             this.currentProfile = null;
             this.isProcessing = false;
+            this.recording = null; // { touched } while recording mode is on
+            this.settings = null; // Global settings, refreshed before every navigation
+            this.adapter = selectSiteAdapter(window.location.hostname);
+            this.overlay = new AutoFillOverlay();
+            console.log('🧩 Using site adapter:', this.adapter.name);
             
             this.init();
         }
 
-        init() {
-            this.setupMessageListener();
-            this.setupKeyboardShortcuts();
-            this.checkForAutoFill();
+        init() {
+            this.setupMessageListener();
+            this.setupKeyboardShortcuts();
+            this.checkForChainOrAutoFill();
+            this.checkRecordingState();
+            this.loadSettings();
+        }
+
+        // Message handling
+        setupMessageListener() {
+            chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+                try {
+                    switch (request.action) {
+                        case 'fillForm':
+                            // Respond only once every field has really been processed
+                            this.fillForm(request.profile, request.submitPolicy)
+                                .then(sendResponse)
+                                .catch(error => {
+                                    console.error('Content script error:', error);
+                                    sendResponse({ success: false, error: error.message });
+                                });
+                            break;
+                        case 'detectFields':
+                            const fields = this.detectFields();
+                            sendResponse({ success: true, fields });
+                            break;
+                        case 'waitForPageReady':
+                            this.waitForStableQuestions()
+                                .then(ready => sendResponse({ success: true, ready }));
+                            break;
+                        case 'getPageState':
+                            sendResponse({ success: true, url: window.location.href, titles: this.getQuestionTitles() });
+                            break;
+                        case 'previewForm':
+                            sendResponse(this.previewProfile(request.profile));
+                            break;
+                        case 'startRecording':
+                            this.startRecording(request.settings);
+                            sendResponse({ success: true });
+                            break;
+                        case 'stopRecording':
+                            sendResponse({ success: true, page: { url: window.location.href, title: document.title, fields: this.stopRecording() } });
+                            break;
+                        case 'captureForm':
+                            sendResponse({ success: true, profile: this.captureForm() });
+                            break;
+                        case 'showDetectedFields':
+                            this.showDetectedFieldsPanel(request.fields || this.detectFields());
+                            sendResponse({ success: true });
+                            break;
+                        case 'showHelpOverlay':
+                            this.overlay.showHelp(request.shortcuts || []);
+                            sendResponse({ success: true });
+                            break;
+                        case 'showNotification':
+                            this.showNotification(request.message, request.type);
+                            sendResponse({ success: true });
+                            break;
+                        default:
+                            sendResponse({ success: false, error: 'Unknown action' });
+                    }
+                } catch (error) {
+                    console.error('Content script error:', error);
+                    sendResponse({ success: false, error: error.message });
+                }
+                return true;
+            });
+        }
+
+        // Keyboard shortcuts
+        setupKeyboardShortcuts() {
+            document.addEventListener('keydown', (e) => {
+                // Ctrl+Alt+1,2,3... for profiles, with Shift for a dry-run preview.
+                // e.code because Shift turns the digit keys into symbols
+                const digit = /^Digit[1-9]$/.test(e.code) ? e.code.slice(-1) : null;
+                if (e.ctrlKey && e.altKey && digit) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.previewProfileByShortcut(digit);
+                    } else {
+                        this.executeProfileByShortcut(digit);
+                    }
+                }
+            });
+        }
+
+        // Execute profile by shortcut
+        executeProfileByShortcut(key) {
+            chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
+                if (response && response.success && response.profiles) {
+                    const profileIndex = parseInt(key) - 1;
+                    const profile = response.profiles[profileIndex];
+                    if (profile) {
+                        this.startChain(profile, 'page-shortcut');
+                    }
+                }
+            });
+        }
+
+        // Preview profile by shortcut
+        previewProfileByShortcut(key) {
+            chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
+                if (response && response.success && response.profiles) {
+                    const profile = response.profiles[parseInt(key) - 1];
+                    if (profile) {
+                        this.previewProfile(profile);
+                    }
+                }
+            });
+        }
+
+        // Main form filling function
+        // Resolves with { success, filled, total, results } once every field was processed
+        async fillForm(profile, submitPolicy = this.resolveSubmitPolicy(profile)) {
+            if (this.isProcessing) {
+                return { success: false, error: 'Fill already in progress' };
+            }
+            
+            this.isProcessing = true;
+            try {
+                console.log('🚀 Starting form fill with profile:', profile.name);
+                console.log('📋 Profile has', profile.fields.length, 'fields to fill');
+
+                const fillResult = await this.fillProfileFields(profile);
+                const { filledCount, totalFields } = fillResult;
+                const summary = this.summarizeFill(fillResult);
+
+                this.showNotification(`Заполнено ${filledCount} из ${totalFields} полей`, summary.success ? 'success' : 'warning');
+                
+                // Auto-click button once the page settled, never on a page with failed answers
+                if (summary.success) { 
+                    await this.waitForStableQuestions();
+                    await this.navigateAfterFill(profile, summary, submitPolicy, fillResult.matched);
+                } else if (filledCount > 0) {
+                    console.warn('⛔ Not clicking Next/Submit: some fields failed');
+                }
+
+                return summary;
+            } finally {
+                this.isProcessing = false;
+            }
+        }
+
+        // Submit policy of a profile; settings are the background's global settings when known
+        resolveSubmitPolicy(profile, settings = null) {
+            return profile.submitPolicy || (settings && settings.defaultSubmitPolicy) || DEFAULT_SUBMIT_POLICY;
+        }
+
+        // Press Next/Submit as far as the submit policy allows.
+        // Sets summary.navigation to the clicked kind, or summary.navigationSkipped to 'policy' or 'cancelled'.
+        // A page the form rejects turns the summary into a failure with validationErrors,
+        // summary.pageTransition tells whether the page moved on after the click
+        async navigateAfterFill(profile, summary, submitPolicy, matched = []) {
+            await this.loadSettings();
+            const found = this.findNavigationButton();
+            if (!found) {
+                console.log('❌ No Next or Submit button found');
+                return;
+            }
+            summary.navigationButton = { kind: found.kind, label: found.label, via: found.via };
+
+            if (submitPolicy === 'none' || (submitPolicy === 'next' && found.kind === 'submit')) {
+                console.log(`⏸️ Not clicking ${found.kind}: submit policy "${submitPolicy}"`);
+                summary.navigationSkipped = 'policy';
+                this.showNotification(found.kind === 'submit' ? 'Форма заполнена, отправьте её вручную' : 'Форма заполнена', 'info');
+                return;
+            }
+
+            if (submitPolicy === 'confirm' && found.kind === 'submit') {
+                const answers = profile.fields.map((field, index) => ({
+                    name: field.name,
+                    value: this.formatPreviewValue(field.value),
+                    filled: !!summary.results[index]?.filled
+                }));
+                const confirmed = await this.overlay.confirmSubmit(profile.name, answers);
+                if (!confirmed) {
+                    console.log('⏸️ Submit cancelled by the user');
+                    summary.navigationSkipped = 'cancelled';
+                    return;
+                }
+            }
+
+            const page = this.snapshotPage();
+            await this.reportNavigation({ ...summary, navigation: found.kind }, page);
+            summary.navigation = this.clickNextButton(found);
+
+            const outcome = await this.waitForNavigationOutcome(page, found.button);
+            summary.pageTransition = outcome.transitioned;
+            if (outcome.errors.length > 0) {
+                this.reportValidationErrors(summary, outcome.errors, matched);
+            } else if (!outcome.transitioned && found.kind === 'next') {
+                console.warn('⏱️ Page did not change after Next');
+                summary.success = false;
+                summary.error = 'Page did not change after Next';
+            }
+        }
+
+        // Hand the fill result and the page it was made on to the background before a click
+        // that may unload the page, so a running chain can carry on from the next document
+        reportNavigation(summary, page) {
+            return new Promise(resolve => {
+                chrome.runtime.sendMessage({
+                    action: 'reportNavigation',
+                    summary,
+                    page: { url: page.url, titles: page.titles }
+                }, () => {
+                    if (chrome.runtime.lastError) {
+                        console.debug('Could not report navigation:', chrome.runtime.lastError.message);
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        // URL, question widgets and validation messages of the current page,
+        // to tell later whether it was replaced and which messages the click brought
+        snapshotPage() {
+            const questions = this.adapter.getQuestionContainers();
+            return {
+                url: window.location.href,
+                questions: questions.length > 0 ? questions : this.getVisibleFieldWidgets(),
+                titles: this.getQuestionTitles(),
+                messages: new Set(this.adapter.getValidationMessages())
+            };
         }
 
-        // Message handling
-        setupMessageListener() {
-            chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-                try {
-                    switch (request.action) {
-                        case 'fillForm':
-                            this.fillForm(request.profile);
-                            sendResponse({ success: true });
-                            break;
-                        case 'detectFields':
-                            const fields = this.detectFields();
-                            sendResponse({ success: true, fields });
-                            break;
-                        default:
-                            sendResponse({ success: false, error: 'Unknown action' });
+        // A page moved on when the URL changed, all of its questions were removed or hidden,
+        // or the same containers were re-rendered with other questions
+        hasPageChanged(page) {
+            if (window.location.href !== page.url) return true;
+            if (page.questions.length > 0 &&
+                page.questions.every(question => !question.isConnected || !this.isVisible(question))) {
+                return true;
+            }
+            const titles = this.getQuestionTitles();
+            return page.titles !== '' && titles !== '' && titles !== page.titles;
+        }
+
+        getQuestionTitles() {
+            return this.adapter.getQuestionContainers()
+                .map(container => this.adapter.getQuestionTitle(container))
+                .join('\n');
+        }
+
+        getVisibleFieldWidgets() {
+            return Array.from(document.querySelectorAll(FIELD_WIDGET_SELECTOR))
+                .filter(element => !NON_FIELD_INPUT_TYPES.includes(element.type) && this.isVisible(element));
+        }
+
+        // Page has visible questions or, without adapter containers, visible field widgets
+        hasQuestions() {
+            return this.adapter.getQuestionContainers().some(container => this.isVisible(container)) ||
+                   this.getVisibleFieldWidgets().length > 0;
+        }
+
+        // After Next/Submit: resolves with { errors, transitioned } as soon as the form reports
+        // validation errors or the page moves on; on timeout with whatever errors are shown then.
+        // Messages that were already on the page before the click do not count
+        async waitForNavigationOutcome(page, button) {
+            const newErrors = () => this.adapter.getValidationErrors(button)
+                .filter(error => !page.messages.has(error.element));
+            const outcome = await this.waitForDomChange(() => {
+                const errors = newErrors();
+                if (errors.length > 0) return { errors, transitioned: false };
+                return this.hasPageChanged(page) ? { errors: [], transitioned: true } : null;
+            }, PAGE_TRANSITION_TIMEOUT);
+            return outcome || { errors: newErrors(), transitioned: false };
+        }
+
+        // Re-run check() on DOM mutations and URL changes until it returns a truthy value;
+        // resolves with that value, or null once the timeout expires
+        waitForDomChange(check, timeout) {
+            return new Promise(resolve => {
+                let scheduled = null;
+                let urlPoll = null;
+                let deadline = null;
+                const observer = new MutationObserver(() => {
+                    // Batch bursts of mutations into one check
+                    if (!scheduled) scheduled = setTimeout(run, 50);
+                });
+                const finish = (result) => {
+                    observer.disconnect();
+                    clearTimeout(scheduled);
+                    clearInterval(urlPoll);
+                    clearTimeout(deadline);
+                    resolve(result);
+                };
+                const run = () => {
+                    scheduled = null;
+                    const result = check();
+                    if (result) finish(result);
+                };
+
+                observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+                // pushState navigation changes the URL without a DOM event to observe
+                urlPoll = setInterval(run, 250);
+                deadline = setTimeout(() => finish(null), timeout);
+                run();
+            });
+        }
+
+        // Resolves true once the page shows questions and its DOM stayed quiet for DOM_QUIET_PERIOD,
+        // false when that did not happen within the timeout
+        waitForStableQuestions(timeout = PAGE_READY_TIMEOUT) {
+            return new Promise(resolve => {
+                let quietTimer = null;
+                let deadline = null;
+                const finish = (ready) => {
+                    observer.disconnect();
+                    clearTimeout(quietTimer);
+                    clearTimeout(deadline);
+                    resolve(ready);
+                };
+                const restartQuietPeriod = () => {
+                    clearTimeout(quietTimer);
+                    quietTimer = setTimeout(() => {
+                        if (this.hasQuestions()) finish(true);
+                    }, DOM_QUIET_PERIOD);
+                };
+                const observer = new MutationObserver(restartQuietPeriod);
+
+                observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+                deadline = setTimeout(() => {
+                    const ready = this.hasQuestions();
+                    if (!ready) console.warn('⏱️ No stable questions on the page');
+                    finish(ready);
+                }, timeout);
+                restartQuietPeriod();
+            });
+        }
+
+        // Map validation errors to profile fields, mark the fill as failed and show them on the page
+        reportValidationErrors(summary, errors, matched) {
+            const validationErrors = errors.map(({ container, message }) => {
+                const owner = container && matched.find(entry => container.contains(entry.element));
+                return {
+                    question: container ? this.adapter.getQuestionTitle(container) : '',
+                    message,
+                    field: owner ? owner.field.name : null
+                };
+            });
+
+            validationErrors.forEach(error => {
+                const result = error.field && summary.results.find(r => r.field === error.field);
+                if (result) result.validationError = error.message;
+                console.warn(`   ⚠️ Validation error: "${error.question}" (${error.field || 'no profile field'}): ${error.message}`);
+            });
+
+            summary.success = false;
+            summary.validationErrors = validationErrors;
+            summary.error = `Validation failed: ${validationErrors.map(e => e.field || e.question || e.message).join(', ')}`;
+            this.overlay.showValidationErrors(validationErrors);
+            this.showNotification(`Форма не принята: ${validationErrors.length} ошибок`, 'error');
+        }
+
+        // Message payload for a fill: success only when every field was filled
+        summarizeFill({ filledCount, totalFields, results }) {
+            return {
+                success: totalFields > 0 && filledCount === totalFields,
+                filled: filledCount,
+                total: totalFields,
+                results,
+                url: window.location.href,
+                navigation: null // 'next' or 'submit' once a button was clicked
+            };
+        }
+
+        // Fill every field of a profile and collect per-field results
+        async fillProfileFields(profile) {
+            let filledCount = 0;
+            const totalFields = profile.fields.length;
+            const results = [];
+            const filledEntries = [];
+            const matched = []; // { field, element } of every found field, to map validation errors back
+            const threshold = this.getMatchThreshold(profile);
+
+            // Sequential loop: some widgets (dropdowns) must be opened and closed one at a time
+            for (const [index, field] of profile.fields.entries()) {
+                console.log(`\n🔄 Processing field ${index + 1}/${totalFields}:`, field.name);
+                console.log('   📝 Type:', field.type);
+                console.log('   💾 Value:', field.value);
+                
+                const match = this.findFieldElement(field, threshold);
+                if (match) {
+                    const { element, score } = match;
+                    matched.push({ field, element });
+                    console.log('   ✅ Element found:', element.tagName, element.type || 'no-type', `(score ${score.toFixed(2)})`);
+                    // Fillers return (a promise of) either a boolean or an object with extra details
+                    const outcome = await this.fillField(element, field);
+                    const filled = typeof outcome === 'object' ? !!outcome.success : !!outcome;
+                    const { success, verified, error, ...details } = typeof outcome === 'object' ? outcome : {};
+                    const result = { field: field.name, found: true, filled, verified: filled && !!verified, score, ...details };
+                    if (filled) {
+                        filledCount++;
+                        filledEntries.push({ field, element, result });
+                        console.log(`   ✅ Successfully filled: ${field.name}${result.verified ? ' (verified)' : ''}`);
+                        this.highlightElement(element);
+                    } else {
+                        result.error = error || 'Fill failed';
+                        console.warn(`   ❌ Failed to fill: ${field.name}`);
                     }
-                } catch (error) {
-                    console.error('Content script error:', error);
-                    sendResponse({ success: false, error: error.message });
+                    results.push(result);
+                } else {
+                    results.push({ field: field.name, found: false, filled: false, verified: false, error: 'Element not found' });
+                    console.warn(`   🚫 Element not found for: ${field.name}`);
+                }
+            }
+
+            // Read every answer back once the page has settled; frameworks may undo or reformat values
+            const failedVerification = await this.verifyFilledFields(filledEntries, threshold);
+            filledCount -= failedVerification;
+
+            console.log(`\n📊 Form fill completed: ${filledCount}/${totalFields} fields filled`);
+            console.log('📈 Success rate:', `${Math.round((filledCount / totalFields) * 100)}%`);
+            console.log('🎯 Results summary:', results.map(r => `${r.field}: ${r.filled ? '✅' : '❌'}`).join(', '));
+
+            return { filledCount, totalFields, results, matched };
+        }
+
+        // Verification pass: re-read filled questions, retry mismatches once, mark the rest failed.
+        // Returns how many fields failed verification
+        async verifyFilledFields(entries, threshold) {
+            if (entries.length === 0) return 0;
+            console.log(`\n🔎 Verifying ${entries.length} filled fields...`);
+            await this.delay(VERIFY_SETTLE_DELAY);
+
+            let failed = 0;
+            for (const entry of entries) {
+                const { field, result } = entry;
+                // The widget may have been re-rendered since it was filled
+                const element = entry.element.isConnected ? entry.element : this.findFieldElement(field, threshold)?.element;
+                if (element && this.verifyField(element, field)) {
+                    result.verified = true;
+                    continue;
+                }
+
+                console.warn(`   🔁 Value of "${field.name}" did not stick, retrying`);
+                result.retried = true;
+                if (element) {
+                    await this.fillField(element, field);
+                    await this.delay(VERIFY_SETTLE_DELAY);
+                }
+                if (element && this.verifyField(element, field)) {
+                    result.verified = true;
+                    console.log(`   ✅ "${field.name}" verified after retry`);
+                } else {
+                    result.filled = false;
+                    result.verified = false;
+                    result.error = 'Verification failed';
+                    failed++;
+                    console.warn(`   ❌ "${field.name}" failed verification`);
+                }
+            }
+            return failed;
+        }
+
+        // Read a question back and compare it with the value the field should have put there
+        verifyField(element, field) {
+            try {
+                const container = this.getQuestionContainer(element);
+                switch (field.type) {
+                    case 'radio': {
+                        const selected = this.adapter.getChoiceOptions(container, element)
+                            .filter(option => this.adapter.isChoiceSelected(option))
+                            .map(option => this.adapter.getOptionLabel(option));
+                        return this.findOptionIndex(selected, String(field.value ?? '').trim()) >= 0;
+                    }
+                    case 'checkbox': {
+                        const selected = this.adapter.getCheckboxOptions(container, element)
+                            .filter(option => this.adapter.isChoiceSelected(option))
+                            .map(option => this.adapter.getOptionLabel(option));
+                        const wanted = this.parseOptionList(field.value);
+                        return selected.length === wanted.length &&
+                               wanted.every(w => this.findOptionIndex(selected, w) >= 0);
+                    }
+                    case 'dropdown': {
+                        const wanted = String(field.value ?? '').trim();
+                        if (element.tagName === 'SELECT') {
+                            const option = element.options[element.selectedIndex];
+                            return !!option && this.findOptionIndex([option.text.trim()], wanted) === 0;
+                        }
+                        return this.adapter.isDropdownValueSelected(element, wanted);
+                    }
+                    case 'rating':
+                    case 'nps': {
+                        const option = this.resolveScaleOption(element, parseInt(field.value, 10), field.type === 'nps' ? 0 : 1);
+                        return !!option && this.adapter.isChoiceSelected(option);
+                    }
+                    case 'likert': {
+                        const mapping = field.value && typeof field.value === 'object' ? field.value : {};
+                        const { targets, missingRows } = this.resolveLikertTargets(element, mapping);
+                        return missingRows.length === 0 && targets.every(({ option }) => this.adapter.isChoiceSelected(option));
+                    }
+                    case 'ranking':
+                        return this.isRankingInOrder(container, this.parseOptionList(field.value));
+                    case 'date':
+                        return element.value === this.formatDateByPlaceholder(field.value, element.placeholder || '');
+                    default:
+                        return element.value === this.toElementValue(element, String(field.value ?? ''));
+                }
+            } catch (error) {
+                console.error('Error verifying field:', error);
+                return false;
+            }
+        }
+
+        // Dry run: resolve every field like a fill would, show the result, never touch the form or click Next/Submit
+        previewProfile(profile) {
+            console.log('👁️ Previewing profile:', profile.name);
+            const threshold = this.getMatchThreshold(profile);
+            const matches = [];
+            const results = [];
+            const unmatched = [];
+
+            profile.fields.forEach(field => {
+                const match = this.findFieldElement(field, threshold);
+                if (match) {
+                    const value = this.formatPreviewValue(field.value);
+                    // The generic adapter falls back to the whole <form>; outline the widget instead
+                    const container = this.getQuestionContainer(match.element);
+                    matches.push({ element: container && container.tagName !== 'FORM' ? container : match.element, value });
+                    results.push({ field: field.name, found: true, score: match.score, value });
+                } else {
+                    unmatched.push(field.name);
+                    results.push({ field: field.name, found: false, error: 'Element not found' });
                 }
-                return true;
             });
+
+            this.overlay.showPreview(profile.name, matches, unmatched);
+            console.log(`👁️ Preview: ${matches.length}/${profile.fields.length} fields matched`);
+            return { success: true, matched: matches.length, total: profile.fields.length, results };
         }
 
-        // Keyboard shortcuts
-        setupKeyboardShortcuts() {
-            document.addEventListener('keydown', (e) => {
-                // Ctrl+Alt+1,2,3... for profiles
-                if (e.ctrlKey && e.altKey && e.key >= '1' && e.key <= '9') {
-                    e.preventDefault();
-                    this.executeProfileByShortcut(e.key);
+        formatPreviewValue(value) {
+            if (Array.isArray(value)) return value.join(', ');
+            if (value && typeof value === 'object') {
+                return Object.entries(value).map(([row, column]) => `${row} = ${column}`).join('; ');
+            }
+            return String(value ?? '');
+        }
+
+        // Matching threshold of a profile, falling back to the default
+        getMatchThreshold(profile) {
+            const threshold = parseFloat(profile.matchThreshold);
+            return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+        }
+
+        // Find field element; returns { element, score } or null
+        findFieldElement(field, threshold = DEFAULT_MATCH_THRESHOLD) {
+            console.log(`   🔍 Searching for element: "${field.name}"`);
+            
+            const question = this.findQuestion(field, threshold);
+            if (question) {
+                const xpath = this.getWidgetXPath(field.type);
+                console.log(`   🎯 Question matched (score ${question.score.toFixed(2)}), using XPath: ${xpath}`);
+                
+                const element = this.findByXPath(xpath, question.container);
+                if (element) {
+                    console.log(`   ✅ Found element successfully!`);
+                    return { element, score: question.score };
+                }
+            }
+            
+            // Only text-based strategies can be resolved through labels outside question containers
+            const strategy = field.matchStrategy || 'fuzzy';
+            if (strategy !== 'fuzzy' && strategy !== 'exact') {
+                console.warn(`   🚫 No question found for field: ${field.name} (${strategy})`);
+                return null;
+            }
+            
+            // Fall back to adapters that resolve fields by label, ARIA or name
+            const match = this.adapter.findFieldElement(field, strategy === 'exact' ? 1 : threshold);
+            if (match) {
+                console.log(`   ✅ Found element by ${this.adapter.name} adapter (score ${match.score.toFixed(2)})`);
+                return match;
+            }
+            
+            console.warn(`   🚫 No element found for field: ${field.name}`);
+            return null;
+        }
+
+        // Locate the question container using the field's match strategy; returns { container, score } or null
+        findQuestion(field, threshold) {
+            const strategy = field.matchStrategy || 'fuzzy';
+            const matchValue = String(field.matchValue ?? '').trim();
+            const containers = this.adapter.getQuestionContainers();
+            const exactly = (list) => list.map(container => ({ container, score: 1 }));
+            console.log(`   🧭 Match strategy: ${strategy}${matchValue ? ` (${matchValue})` : ''}`);
+            
+            let candidates;
+            switch (strategy) {
+                case 'exact': {
+                    const wanted = normalizeQuestionText(field.name);
+                    candidates = exactly(containers.filter(c => normalizeQuestionText(this.adapter.getQuestionTitle(c)) === wanted));
+                    break;
+                }
+                case 'regex': {
+                    let pattern;
+                    try {
+                        pattern = new RegExp(matchValue || field.name, 'i');
+                    } catch (error) {
+                        console.warn(`   ❌ Invalid regular expression: ${matchValue}`);
+                        return null;
+                    }
+                    candidates = exactly(containers.filter(c => pattern.test(this.adapter.getQuestionTitle(c))));
+                    break;
+                }
+                case 'ordinal': {
+                    // 1-based position of the question on the current page; already unambiguous
+                    const container = containers[parseInt(matchValue, 10) - 1];
+                    return container ? { container, score: 1 } : null;
+                }
+                case 'id':
+                    candidates = exactly(containers.filter(c => this.adapter.getQuestionId(c) === matchValue));
+                    break;
+                default:
+                    candidates = this.scoreQuestions(field.name, containers, threshold);
+            }
+            
+            if (field.section || field.occurrence) {
+                console.log(`   🧭 Scope: section "${field.section || '*'}", occurrence ${field.occurrence || 1}`);
+            }
+            return pickCandidate(candidates, field, threshold, candidate => this.adapter.getSectionTitle(candidate.container));
+        }
+
+        // Score every question on the page against the field name; keeps those above the threshold
+        scoreQuestions(fieldName, containers, threshold) {
+            const wanted = normalizeQuestionText(fieldName);
+            return containers
+                .map(container => ({
+                    container,
+                    score: textSimilarity(wanted, normalizeQuestionText(this.adapter.getQuestionTitle(container)))
+                }))
+                .filter(candidate => candidate.score >= threshold);
+        }
+
+        // XPath of the widget inside a question container
+        getWidgetXPath(fieldType) {
+            return `.//${this.getElementType(fieldType)}`;
+        }
+
+        // Get element type for XPath
+        getElementType(fieldType) {
+            return this.adapter.getElementType(fieldType);
+        }
+
+        // Find element by XPath
+        findByXPath(xpath, contextNode = document) {
+            try {
+                const result = document.evaluate(
+                    xpath,
+                    contextNode,
+                    null,
+                    XPathResult.FIRST_ORDERED_NODE_TYPE,
+                    null
+                );
+                return result.singleNodeValue;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // Fill field based on type (may return a promise for interactive widgets)
+        fillField(element, field) {
+            try {
+                switch (field.type) {
+                    case 'text':
+                    case 'longtext':
+                        return this.fillTextInput(element, field.value, { typing: !!field.typing });
+                    case 'radio':
+                        return this.fillRadioButton(element, field.value);
+                    case 'checkbox':
+                        return this.fillCheckboxGroup(element, field.value);
+                    case 'dropdown':
+                        return this.fillDropdown(element, field.value);
+                    case 'rating':
+                        return this.fillScale(element, field.value, 1);
+                    case 'nps':
+                        return this.fillScale(element, field.value, 0);
+                    case 'likert':
+                        return this.fillLikert(element, field.value);
+                    case 'ranking':
+                        return this.fillRanking(element, field.value);
+                    case 'date':
+                        return this.fillDateInput(element, field.value, { typing: !!field.typing });
+                    default:
+                        return this.fillTextInput(element, field.value, { typing: !!field.typing });
+                }
+            } catch (error) {
+                console.error('Error filling field:', error);
+                return { success: false, error: error.message };
+            }
+        }
+
+        // Fill text input or textarea (multi-line values are kept as is)
+        async fillTextInput(element, value, { typing = false } = {}) {
+            const text = String(value ?? '');
+            console.log(`   ✍️ Filling text input with: "${text}"${typing ? ' (typing)' : ''}`);
+            
+            let kept = await this.injectValue(element, text, { typing });
+            if (!kept && !typing) {
+                // Some React inputs only accept values that arrive keystroke by keystroke
+                console.log(`   🔁 Value was not kept, retrying in typing mode`);
+                kept = await this.injectValue(element, text, { typing: true });
+            }
+            
+            if (!kept) {
+                console.log(`   ❌ Page did not keep the value (shows "${element.value}")`);
+                return { success: false, error: 'Value not kept by page' };
+            }
+            console.log(`   ✅ Text input filled successfully`);
+            return { success: true, verified: true };
+        }
+
+        // Write a value the way a user would so framework state (React) picks it up;
+        // resolves with whether the element still holds the value afterwards
+        async injectValue(element, value, { typing = false } = {}) {
+            value = this.toElementValue(element, value);
+            // Date, time and number inputs reject the partial values typing goes through
+            if (typing && SINGLE_VALUE_INPUT_TYPES.includes(element.type)) {
+                typing = false;
+            }
+            
+            element.focus();
+            element.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+            
+            if (typing) {
+                this.setNativeValue(element, '');
+                element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'deleteContentBackward' }));
+                for (const char of value) {
+                    const key = char === '\n' ? 'Enter' : char;
+                    element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+                    element.dispatchEvent(new KeyboardEvent('keypress', { key, bubbles: true, cancelable: true }));
+                    this.setNativeValue(element, element.value + char);
+                    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+                    element.dispatchEvent(new KeyboardEvent('keyup', { key, bubbles: true, cancelable: true }));
+                    await this.delay(15);
+                }
+            } else {
+                const lastKey = value.slice(-1) || 'Backspace';
+                element.dispatchEvent(new KeyboardEvent('keydown', { key: lastKey, bubbles: true, cancelable: true }));
+                this.setNativeValue(element, value);
+                element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: value }));
+                element.dispatchEvent(new KeyboardEvent('keyup', { key: lastKey, bubbles: true, cancelable: true }));
+            }
+            
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            element.blur();
+            element.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+            
+            // Give the framework a moment to re-render before reading the value back
+            await this.delay(50);
+            return element.value === value;
+        }
+
+        // Value as the element can hold it: single-line inputs drop line breaks, so they are written (and compared) as spaces
+        toElementValue(element, value) {
+            return element instanceof HTMLTextAreaElement ? value : value.replace(/\r?\n/g, ' ');
+        }
+
+        // Assign through the prototype setter: React tracks the instance setter and ignores plain assignments
+        setNativeValue(element, value) {
+            const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype :
+                              element instanceof HTMLSelectElement ? HTMLSelectElement.prototype :
+                              HTMLInputElement.prototype;
+            const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+            if (descriptor && descriptor.set) {
+                descriptor.set.call(element, value);
+            } else {
+                element.value = value;
+            }
+        }
+
+        // Fill radio button
+        fillRadioButton(element, value) {
+            console.log(`   🔘 Looking for radio option: "${value}"`);
+            // Find radio option with matching text
+            const container = this.getQuestionContainer(element, '[role="radiogroup"]');
+            const options = this.adapter.getChoiceOptions(container, element);
+            const labels = options.map(option => this.adapter.getOptionLabel(option));
+            const index = this.findOptionIndex(labels, String(value || '').trim());
+            
+            if (index >= 0) {
+                console.log(`   ✅ Found radio option: "${labels[index]}"`);
+                this.selectChoice(options[index]);
+                console.log(`   ✅ Radio button selected successfully`);
+                return { success: true, verified: this.adapter.isChoiceSelected(options[index]) };
+            }
+            console.log(`   ❌ Radio option not found: "${value}"`);
+            return { success: false, error: 'Option not found' };
+        }
+
+        // Fill checkbox group (multi-select): tick exactly the listed options
+        fillCheckboxGroup(element, value) {
+            const wanted = this.parseOptionList(value);
+            console.log(`   ☑️ Looking for checkbox options:`, wanted);
+
+            const container = this.getQuestionContainer(element, 'div[role="group"]');
+            const options = this.adapter.getCheckboxOptions(container, element);
+            const labels = options.map(option => this.adapter.getOptionLabel(option));
+
+            const toCheck = new Set();
+            const missingOptions = [];
+            wanted.forEach(w => {
+                const index = this.findOptionIndex(labels, w);
+                if (index >= 0) {
+                    toCheck.add(index);
+                } else {
+                    missingOptions.push(w);
+                }
+            });
+
+            options.forEach((option, index) => {
+                const shouldBeChecked = toCheck.has(index);
+                if (this.adapter.isChoiceSelected(option) !== shouldBeChecked) {
+                    // Use a real click so framework-managed inputs update their state
+                    option.click();
+                    console.log(`   ${shouldBeChecked ? '✅ Ticked' : '⬜ Unticked'}: "${labels[index]}"`);
+                }
+            });
+
+            if (missingOptions.length > 0) {
+                console.log(`   ❌ Checkbox options not found:`, missingOptions);
+            }
+            const verified = options.every((option, index) => this.adapter.isChoiceSelected(option) === toCheck.has(index));
+            return { success: missingOptions.length === 0, verified, missingOptions };
+        }
+
+        // Fill dropdown: native <select> or a custom listbox/combobox widget
+        async fillDropdown(element, value) {
+            const wanted = String(value || '').trim();
+            console.log(`   🔽 Looking for dropdown option: "${wanted}"`);
+
+            try {
+                if (element.tagName === 'SELECT') {
+                    return this.fillNativeSelect(element, wanted);
+                }
+
+                // Open the widget and wait for its options to render
+                element.click();
+                const options = await this.waitFor(() => {
+                    const found = this.adapter.getListboxOptions(element);
+                    return found.length > 0 ? found : null;
+                });
+                if (!options) {
+                    console.log(`   ❌ Dropdown did not open or has no options`);
+                    return { success: false, error: 'Dropdown options not found' };
+                }
+
+                const labels = options.map(option => option.textContent.trim());
+                const index = this.findOptionIndex(labels, wanted);
+                if (index < 0) {
+                    console.log(`   ❌ Dropdown option not found: "${wanted}"`);
+                    // Close the widget again so it does not cover other questions
+                    element.click();
+                    return { success: false, error: 'Option not found' };
+                }
+
+                console.log(`   ✅ Found dropdown option: "${labels[index]}"`);
+                options[index].click();
+
+                // Confirm that the widget now shows the picked option
+                const selected = await this.waitFor(() => this.adapter.isDropdownValueSelected(element, labels[index]));
+                if (!selected) {
+                    console.log(`   ❌ Dropdown selection did not stick`);
+                    return { success: false, error: 'Selection not confirmed' };
+                }
+                console.log(`   ✅ Dropdown option selected successfully`);
+                return { success: true, verified: true };
+            } catch (error) {
+                console.error('❌ Error filling dropdown:', error);
+                return { success: false, error: error.message };
+            }
+        }
+
+        // Select an option of a native <select> by its visible text
+        fillNativeSelect(select, wanted) {
+            const options = Array.from(select.options);
+            const index = this.findOptionIndex(options.map(option => option.text.trim()), wanted);
+            if (index < 0) {
+                console.log(`   ❌ Select option not found: "${wanted}"`);
+                return { success: false, error: 'Option not found' };
+            }
+
+            select.focus();
+            this.setNativeValue(select, options[index].value);
+            select.dispatchEvent(new Event('input', { bubbles: true }));
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+
+            if (select.selectedIndex !== index) {
+                return { success: false, error: 'Selection not confirmed' };
+            }
+            console.log(`   ✅ Select option chosen: "${options[index].text.trim()}"`);
+            return { success: true, verified: true };
+        }
+
+        // Poll until check() returns a truthy value or the timeout expires
+        waitFor(check, timeout = 1500, interval = 50) {
+            return new Promise((resolve) => {
+                const started = Date.now();
+                const poll = () => {
+                    const result = check();
+                    if (result) {
+                        resolve(result);
+                    } else if (Date.now() - started >= timeout) {
+                        resolve(null);
+                    } else {
+                        setTimeout(poll, interval);
+                    }
+                };
+                poll();
+            });
+        }
+
+        // Fill rating stars or an NPS scale; firstValue is the score of the first option
+        fillScale(element, value, firstValue) {
+            const score = parseInt(value, 10);
+            console.log(`   ⭐ Selecting score: ${score}`);
+            if (isNaN(score)) {
+                return { success: false, error: 'Score is not a number' };
+            }
+
+            const option = this.resolveScaleOption(element, score, firstValue);
+            if (!option) {
+                console.log(`   ❌ Score ${score} is out of range`);
+                return { success: false, error: 'Score out of range' };
+            }
+
+            this.selectChoice(option);
+            if (!this.adapter.isChoiceSelected(option)) {
+                return { success: false, error: 'Selection not confirmed' };
+            }
+            console.log(`   ✅ Score selected successfully`);
+            return { success: true, verified: true };
+        }
+
+        // Option standing for a score: prefer the number shown in the label, fall back to position
+        resolveScaleOption(element, score, firstValue) {
+            const container = this.getQuestionContainer(element);
+            const options = this.adapter.getChoiceOptions(container, element);
+            return options.find(o => this.getOptionNumber(o) === score) || options[score - firstValue] || null;
+        }
+
+        // Fill Likert matrix: value maps row label -> column label
+        fillLikert(element, value) {
+            const mapping = value && typeof value === 'object' ? value : {};
+            console.log(`   📊 Filling Likert rows:`, mapping);
+
+            const { targets, missingRows } = this.resolveLikertTargets(element, mapping);
+            targets.forEach(({ rowName, option }) => {
+                this.selectChoice(option);
+                if (!this.adapter.isChoiceSelected(option)) {
+                    missingRows.push(rowName);
                 }
             });
+
+            if (missingRows.length > 0) {
+                console.log(`   ❌ Likert rows not filled:`, missingRows);
+            }
+            // Every row is read back right after it is clicked
+            return { success: missingRows.length === 0, verified: missingRows.length === 0, missingRows };
         }
 
-        // Execute profile by shortcut
-        executeProfileByShortcut(key) {
-            chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
-                if (response && response.success && response.profiles) {
-                    const profileIndex = parseInt(key) - 1;
-                    const profile = response.profiles[profileIndex];
-                    if (profile) {
-                        this.fillForm(profile);
-                    }
+        // Find the option to select in every mapped Likert row
+        resolveLikertTargets(element, mapping) {
+            const container = this.getQuestionContainer(element);
+            const rows = this.getLikertRows(container);
+            const rowLabels = rows.map(row => this.getLikertRowLabel(row));
+            const headers = Array.from(container.querySelectorAll('[role="columnheader"], th'))
+                .map(header => header.textContent.trim());
+
+            const targets = [];
+            const missingRows = [];
+            Object.entries(mapping).forEach(([rowName, columnName]) => {
+                const rowIndex = this.findOptionIndex(rowLabels, rowName);
+                if (rowIndex < 0) {
+                    missingRows.push(rowName);
+                    return;
                 }
+
+                const options = this.adapter.getChoiceOptions(rows[rowIndex]);
+                // Header row usually has an extra leading cell above the row labels
+                const offset = Math.max(headers.length - options.length, 0);
+                const columnLabels = options.map((option, i) => this.adapter.getOptionLabel(option) || headers[i + offset] || '');
+                let columnIndex = this.findOptionIndex(columnLabels, String(columnName));
+                if (columnIndex < 0) {
+                    columnIndex = this.findOptionIndex(headers.slice(offset), String(columnName));
+                }
+                if (columnIndex < 0 || !options[columnIndex]) {
+                    missingRows.push(rowName);
+                    return;
+                }
+                targets.push({ rowName, option: options[columnIndex] });
             });
+            return { targets, missingRows };
         }
 
-        // Main form filling function
-        fillForm(profile) {
-            if (this.isProcessing) return;
-            
-            this.isProcessing = true;
-            console.log('🚀 Starting form fill with profile:', profile.name);
-            console.log('📋 Profile has', profile.fields.length, 'fields to fill');
+        // Fill ranking question: move items one step at a time until they follow the stored order
+        async fillRanking(element, value) {
+            const wanted = this.parseOptionList(value);
+            console.log(`   🔢 Ranking items in order:`, wanted);
 
-            let filledCount = 0;
-            const totalFields = profile.fields.length;
-            const results = [];
+            const container = this.getQuestionContainer(element);
+            const missingOptions = wanted.filter(w => this.findOptionIndex(this.getRankingLabels(container), w) < 0);
+            if (missingOptions.length > 0) {
+                console.log(`   ❌ Ranking items not found:`, missingOptions);
+                return { success: false, missingOptions };
+            }
 
-            profile.fields.forEach((field, index) => {
-                console.log(`\n🔄 Processing field ${index + 1}/${totalFields}:`, field.name);
-                console.log('   📝 Type:', field.type);
-                console.log('   💾 Value:', field.value);
-                
-                const element = this.findFieldElement(field);
-                if (element) {
-                    console.log('   ✅ Element found:', element.tagName, element.type || 'no-type');
-                    const success = this.fillField(element, field);
-                    if (success) {
-                        filledCount++;
-                        results.push({ field: field.name, success: true });
-                        console.log(`   ✅ Successfully filled: ${field.name}`);
-                        this.highlightElement(element);
-                    } else {
-                        results.push({ field: field.name, success: false });
-                        console.warn(`   ❌ Failed to fill: ${field.name}`);
+            try {
+                for (let target = 0; target < wanted.length; target++) {
+                    // Each move re-renders the list, so re-read positions after every step
+                    let current = this.findOptionIndex(this.getRankingLabels(container), wanted[target]);
+                    let guard = 0;
+                    while (current > target && guard < 50) {
+                        const after = await this.moveRankingItemUp(container, current, wanted[target]);
+                        if (after < 0 || after >= current) break;
+                        current = after;
+                        guard++;
                     }
-                } else {
-                    results.push({ field: field.name, success: false, error: 'Element not found' });
-                    console.warn(`   🚫 Element not found for: ${field.name}`);
                 }
-            });
-
-            console.log(`\n📊 Form fill completed: ${filledCount}/${totalFields} fields filled`);
-            console.log('📈 Success rate:', `${Math.round((filledCount / totalFields) * 100)}%`);
-            console.log('🎯 Results summary:', results.map(r => `${r.field}: ${r.success ? '✅' : '❌'}`).join(', '));
+            } catch (error) {
+                console.error('❌ Error reordering ranking:', error);
+                return { success: false, error: error.message };
+            }
 
-            this.showNotification(`Заполнено ${filledCount} из ${totalFields} полей`);
-            
-            // Auto-click button after delay
-            if (filledCount > 0) { 
-                        setTimeout(() => {
-                    this.clickNextButton();
-                }, 500);
+            // Verify the final order
+            if (!this.isRankingInOrder(container, wanted)) {
+                console.log(`   ❌ Ranking order not confirmed:`, this.getRankingLabels(container));
+                return { success: false, error: 'Order not confirmed' };
             }
+            console.log(`   ✅ Ranking reordered successfully`);
+            return { success: true, verified: true };
+        }
 
-            this.isProcessing = false;
+        isRankingInOrder(container, wanted) {
+            const labels = this.getRankingLabels(container);
+            return wanted.every((w, index) => this.findOptionIndex([labels[index] || ''], w) === 0);
         }
 
-        // Find field element
-        findFieldElement(field) {
-            console.log(`   🔍 Searching for element: "${field.name}"`);
-            
-            // Use single reliable approach - search by text
-            const xpath = this.generateTextBasedXPath(field.name, field.type);
-            console.log(`   🎯 Using XPath: ${xpath}`);
-            
-            const element = this.findByXPath(xpath);
-            if (element) {
-                console.log(`   ✅ Found element successfully!`);
-                return element;
-            }
-            
-            console.warn(`   🚫 No element found for field: ${field.name}`);
-            return null;
+        getRankingItems(container) {
+            return Array.from(container.querySelectorAll('[role="listitem"], [role="option"], li'))
+                .filter(item => this.isVisible(item));
         }
 
-        // Generate single reliable XPath based on text search
-        generateTextBasedXPath(fieldName, fieldType) {
-            const elementType = this.getElementType(fieldType);
-            
-            // Single reliable approach: find span containing text, then find the input in the same container
-            return `//span[contains(normalize-space(text()),"${fieldName}")]//ancestor::div[contains(@data-automation-id,"questionItem")]//${elementType}`;
+        getRankingLabels(container) {
+            return this.getRankingItems(container).map(item => (item.getAttribute('aria-label') || item.textContent).trim());
         }
 
-        // Get element type for XPath
-        getElementType(fieldType) {
-            switch (fieldType) {
-                case 'radio': return 'input[@type="radio"]';
-                case 'date': return 'input';
-                default: return 'input';
+        // Move one ranking item up by one position via its button or the keyboard drag protocol;
+        // resolves with the item's index afterwards, looked up again by its label (-1 when it is gone)
+        async moveRankingItemUp(container, index, itemLabel) {
+            const item = this.getRankingItems(container)[index];
+            if (!item) return -1;
+
+            const upButton = Array.from(item.querySelectorAll('button, [role="button"]')).find(button => {
+                const label = (button.getAttribute('aria-label') || button.title || button.textContent || '').toLowerCase();
+                // Whole words only, so "group" or "popup" buttons are not taken for "up"
+                return /(?<!\p{L})(up|вверх|w górę|wyżej)(?!\p{L})|↑/u.test(label);
+            });
+
+            if (upButton) {
+                upButton.click();
+            } else {
+                // Keyboard drag: lift with Space, move with ArrowUp, drop with Space
+                const handle = item.querySelector('[draggable="true"], [tabindex]') || item;
+                handle.focus();
+                this.pressKey(handle, ' ');
+                await this.delay(50);
+                this.pressKey(handle, 'ArrowUp');
+                await this.delay(50);
+                this.pressKey(handle, ' ');
             }
+
+            await this.delay(150);
+            // Lists may re-create their nodes, so find the item again instead of trusting the old reference
+            return this.findOptionIndex(this.getRankingLabels(container), itemLabel);
         }
 
+        pressKey(target, key) {
+            const code = key === ' ' ? 'Space' : key;
+            target.dispatchEvent(new KeyboardEvent('keydown', { key, code, bubbles: true, cancelable: true }));
+            target.dispatchEvent(new KeyboardEvent('keyup', { key, code, bubbles: true, cancelable: true }));
+        }
 
-        // Find element by XPath
-        findByXPath(xpath) {
-            try {
-                const result = document.evaluate(
-                    xpath,
-                    document,
-                    null,
-                    XPathResult.FIRST_ORDERED_NODE_TYPE,
-                    null
-                );
-                return result.singleNodeValue;
-            } catch (error) {
-                return null;
-            }
+        delay(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
         }
 
-        // Fill field based on type
-        fillField(element, field) {
-            try {
-                switch (field.type) {
-                    case 'text':
-                        return this.fillTextInput(element, field.value);
-                    case 'radio':
-                        return this.fillRadioButton(element, field.value);
-                    case 'date':
-                        return this.fillDateInput(element, field.value);
-                    default:
-                        return this.fillTextInput(element, field.value);
-                }
-            } catch (error) {
-                console.error('Error filling field:', error);
-                return false;
-            }
+        // Question container shared by all widgets of one question
+        getQuestionContainer(element, fallbackSelector = null) {
+            return this.adapter.getQuestionContainer(element) ||
+                   (fallbackSelector && element.closest(fallbackSelector)) ||
+                   element.parentElement;
         }
 
-        // Fill text input
-        fillTextInput(element, value) {
-            console.log(`   ✍️ Filling text input with: "${value}"`);
-            element.focus();
-            element.value = value;
-            element.dispatchEvent(new Event('input', { bubbles: true }));
-            element.dispatchEvent(new Event('change', { bubbles: true }));
-            console.log(`   ✅ Text input filled successfully`);
-            return true;
+        // Extract the number an option stands for ("3 Star", "7", ...)
+        getOptionNumber(option) {
+            const text = option.getAttribute('aria-label') || this.adapter.getOptionLabel(option) || option.textContent || '';
+            const match = text.match(/\d+/);
+            return match ? parseInt(match[0], 10) : null;
         }
 
-        // Fill radio button
-        fillRadioButton(element, value) {
-            console.log(`   🔘 Looking for radio option: "${value}"`);
-            // Find radio option with matching text
-            const container = element.closest('div[role="radiogroup"]') || element.parentElement;
-            const options = container.querySelectorAll('input[type="radio"]');
-            
-            for (const option of options) {
-                const label = option.closest('label');
-                if (label && label.textContent.includes(value)) {
-                    console.log(`   ✅ Found radio option: "${label.textContent.trim()}"`);
-                    option.checked = true;
-                    option.dispatchEvent(new Event('change', { bubbles: true }));
-                    console.log(`   ✅ Radio button selected successfully`);
-                    return true;
-                }
+        // A whole plain form holds many radio groups without being a matrix
+        isLikertQuestion(container) {
+            return !!container && container.tagName !== 'FORM' && this.getLikertRows(container).length > 1;
+        }
+
+        // Rows of a Likert matrix: radio groups inside one question
+        getLikertRows(container) {
+            return Array.from(container.querySelectorAll('[role="radiogroup"], tr'))
+                .filter(row => this.adapter.getChoiceOptions(row).length > 0);
+        }
+
+        // Row title of a Likert matrix row
+        getLikertRowLabel(row) {
+            const label = row.getAttribute('aria-label');
+            if (label) return label.trim();
+            const firstCell = row.querySelector('th, td, [role="rowheader"]');
+            return (firstCell ? firstCell.textContent : row.textContent).trim();
+        }
+
+        // Click a choice so the framework registers the selection
+        selectChoice(option) {
+            if (!this.adapter.isChoiceSelected(option)) {
+                option.click();
             }
-            console.log(`   ❌ Radio option not found: "${value}"`);
-            return false;
         }
 
+        // Normalize a multi-value field value to an array of option labels
+        parseOptionList(value) {
+            const list = Array.isArray(value) ? value : String(value || '').split('\n');
+            return list.map(v => String(v).trim()).filter(v => v.length > 0);
+        }
+
+        // Find option by exact (case-insensitive) label, then by substring like radio buttons
+        findOptionIndex(labels, value) {
+            const wanted = value.toLowerCase();
+            const exact = labels.findIndex(label => label.toLowerCase() === wanted);
+            if (exact >= 0) return exact;
+            return labels.findIndex(label => label.toLowerCase().includes(wanted));
+        }
 
 
         // Fill date input
-        fillDateInput(element, value) {
+        async fillDateInput(element, value, { typing = false } = {}) {
             console.log(`   📅 Filling date input with: "${value}"`);
             
             try {
@@ -245,29 +2067,20 @@
                 element.click();
                 
                 // Wait a bit for calendar to open
-                setTimeout(() => {
-                    // Focus the element
-                    element.focus();
-                    element.select();
-                    
-                    // Clear existing value
-                    element.value = '';
-                    
-                    // Set the formatted value
-                    element.value = formattedDate;
-                    
-                    // Trigger basic events
-                    element.dispatchEvent(new Event('input', { bubbles: true }));
-                    element.dispatchEvent(new Event('change', { bubbles: true }));
-                    
-                    console.log(`   ✅ Date input filled successfully with: "${formattedDate}"`);
-                }, 100);
+                await this.delay(100);
                 
-                return true;
+                const kept = await this.injectValue(element, formattedDate, { typing });
+                if (!kept) {
+                    console.log(`   ❌ Date picker did not keep "${formattedDate}" (shows "${element.value}")`);
+                    return { success: false, error: 'Value not kept by page' };
+                }
+                
+                console.log(`   ✅ Date input filled successfully with: "${formattedDate}"`);
+                return { success: true, verified: true };
                 
             } catch (error) {
                 console.error('❌ Error filling date input:', error);
-                return false;
+                return { success: false, error: error.message };
             }
         }
 
@@ -329,63 +2142,324 @@
         }
 
         // Click next button
-        clickNextButton() {
+        // Returns the kind of button clicked ('next' or 'submit'), or null when none was found
+        clickNextButton(found = this.findNavigationButton()) {
+            if (!found) {
+                console.log('❌ No Next or Submit button found');
+                return null;
+            }
+
+            console.log(`🔘 Navigation button "${found.label}" (${found.kind}, found by ${found.via})`);
+            if (found.kind === 'next') {
+                console.log('✅ Found Next button, clicking...');
+                found.button.click();
+                this.showNotification('Переход к следующей странице...');
+                console.log('✅ Next button clicked successfully');
+            } else {
+                // Submit button (for last profile)
+                console.log('✅ Found Submit button (last profile), clicking...');
+                found.button.click();
+                this.showNotification('Отправка формы (последний профиль)...');
+                console.log('✅ Submit button clicked successfully');
+            }
+            return found.kind;
+        }
+
+        // Next/Submit button through the adapter, with the user's label patterns as the fallback
+        findNavigationButton() {
             console.log('🔍 Looking for Next or Submit button...');
-            const buttons = document.querySelectorAll('button, input[type="submit"]');
-            console.log(`📋 Found ${buttons.length} buttons on page`);
-            
-            for (const button of buttons) {
-                const text = button.textContent.toLowerCase();
-                console.log(`   🔍 Checking button: "${button.textContent.trim()}"`);
-                
-                // Check for Next button
-                if (text.includes('next') || text.includes('dalej') || text.includes('następny')|| text.includes('далее')) {
-                    console.log('✅ Found Next button, clicking...');
-                    button.click();
-                    this.showNotification('Переход к следующей странице...');
-                    console.log('✅ Next button clicked successfully');
-                    return true;
-                }
-                
-                // Check for Submit button (for last profile)
-                if (text.includes('submit') || text.includes('отправить') || text.includes('wyślij') || text.includes('wyslij')|| text.includes('отправить')) {
-                    console.log('✅ Found Submit button (last profile), clicking...');
-                    button.click();
-                    this.showNotification('Отправка формы (последний профиль)...');
-                    console.log('✅ Submit button clicked successfully');
-                    return true;
-                }
+            return this.adapter.findNavigationButton(this.settings?.navigationLabels || []);
+        }
+
+        // Global settings from the background (submit policy default, navigation labels)
+        async loadSettings() {
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ action: 'getSettings' }, (result) => {
+                    resolve(chrome.runtime.lastError ? null : result);
+                });
+            });
+            if (response && response.success) {
+                this.settings = response.settings;
             }
-            console.log('❌ No Next or Submit button found');
-            return false;
+            return this.settings;
         }
 
-        // Detect form fields
+        // Detect form fields with the answers currently on the page.
+        // Radio and checkbox options are grouped into one field per question
         detectFields() {
             console.log('🔍 Starting form field detection...');
-            const fields = [];
-            const inputs = document.querySelectorAll('input, textarea, select');
-            console.log(`📋 Found ${inputs.length} input elements on page`);
+            const fields = this.collectQuestions().map(question => question.field);
+            fields.forEach((field, index) => {
+                console.log(`   ✅ Field ${index + 1}: "${field.name}" (${field.type})`);
+            });
+            console.log(`📊 Detection complete: ${fields.length} visible fields found`);
+            return fields;
+        }
+
+        // Visible questions of the page in document order as { key, field }
+        collectQuestions() {
+            const questions = [];
+            const seenGroups = new Set();
+            const inputs = document.querySelectorAll(FIELD_WIDGET_SELECTOR);
             
-            let visibleCount = 0;
             inputs.forEach((input, index) => {
-                if (this.isVisible(input)) {
-                    visibleCount++;
-                    const label = this.findLabel(input);
-                    const fieldData = {
-                        name: label || `Field ${index + 1}`,
-                        type: this.getFieldType(input),
-                        value: ''
-                    };
-                    console.log(`   ✅ Field ${visibleCount}: "${fieldData.name}" (${fieldData.type})`);
-                    fields.push(fieldData);
-                }
+                if (NON_FIELD_INPUT_TYPES.includes(input.type)) return;
+                if (!this.isVisible(input)) return;
+
+                // Every option of a choice question is a separate input, keep the first one
+                const key = this.getQuestionKey(input);
+                if (seenGroups.has(key)) return;
+                seenGroups.add(key);
+
+                questions.push({
+                    key,
+                    container: this.adapter.getQuestionContainer(input),
+                    field: this.describeField(input, `Field ${index + 1}`)
+                });
             });
             
-            console.log(`📊 Detection complete: ${visibleCount} visible fields found`);
+            this.numberRepeatedLabels(questions);
+            return questions;
+        }
+
+        // Options of one choice question share a key; any other widget is its own question
+        getQuestionKey(input) {
+            const type = this.getFieldType(input);
+            if (type !== 'radio' && type !== 'checkbox') return input;
+            // Every row of a Likert matrix is a radio group of its own, yet they answer one question
+            const container = this.adapter.getQuestionContainer(input);
+            if (type === 'radio' && this.isLikertQuestion(container)) return container;
+            return input.name || container || input;
+        }
+
+        // Radio questions that are really a Likert matrix or a numbered scale get their own type,
+        // so profiles refill them with the matching filler
+        getChoiceQuestionType(input, container) {
+            if (!container) return 'radio';
+            if (this.isLikertQuestion(container)) return 'likert';
+
+            const numbers = this.adapter.getChoiceOptions(container, input).map(option => this.getOptionNumber(option));
+            const isScale = numbers.length >= 3 && numbers.every((number, i) => number !== null && number === numbers[0] + i);
+            if (!isScale) return 'radio';
+            return numbers[0] === 0 ? 'nps' : 'rating';
+        }
+
+        // Field entry for a widget: title, resolved type, current answer, question ID and section
+        describeField(input, fallbackName) {
+            const container = this.adapter.getQuestionContainer(input);
+            const widgetType = this.getFieldType(input);
+            const type = widgetType === 'radio' ? this.getChoiceQuestionType(input, container) : widgetType;
+            const title = this.adapter.getQuestionTitle(container);
+            const isChoice = widgetType === 'radio' || widgetType === 'checkbox';
+            // Question titles name text widgets; placeholders like "Enter your answer" repeat on every question
+            const label = isChoice ? (title || input.name) : (this.adapter.getFieldLabel(input, container) || this.findLabel(input));
+            const fieldData = {
+                name: label || fallbackName,
+                type,
+                value: this.readFieldValue(input, type, container),
+                questionId: this.adapter.getQuestionId(container)
+            };
+            const section = this.adapter.getSectionTitle(input);
+            if (section) fieldData.section = section;
+            return fieldData;
+        }
+
+        // Number repeated labels the way filling counts them: every question of the section whose label
+        // matches above the default threshold, once per question container, in document order
+        numberRepeatedLabels(questions) {
+            const containers = this.adapter.getQuestionContainers();
+            const unitOf = (question) => containers.includes(question.container) ? question.container : question.key;
+            questions.forEach(question => {
+                const { field } = question;
+                const wanted = normalizeQuestionText(field.name);
+                const units = [];
+                questions.forEach(other => {
+                    if ((other.field.section || '') !== (field.section || '')) return;
+                    if (textSimilarity(wanted, normalizeQuestionText(other.field.name)) < DEFAULT_MATCH_THRESHOLD) return;
+                    const unit = unitOf(other);
+                    if (!units.includes(unit)) units.push(unit);
+                });
+                if (units.length > 1) {
+                    field.occurrence = units.indexOf(unitOf(question)) + 1;
+                }
+            });
+        }
+
+        hasAnswer(field) {
+            if (Array.isArray(field.value)) return field.value.length > 0;
+            if (field.value && typeof field.value === 'object') return Object.keys(field.value).length > 0;
+            return String(field.value).trim() !== '';
+        }
+
+        // Strip detection-only data from a field before it goes into a profile.
+        // A stable question ID is matched directly; it needs no section or occurrence
+        toProfileField(field) {
+            const profileField = { name: field.name, type: field.type, value: field.value ?? '' };
+            if (field.questionId && this.adapter.isStableQuestionId(field.questionId)) {
+                profileField.matchStrategy = 'id';
+                profileField.matchValue = field.questionId;
+                return profileField;
+            }
+            if (field.section) profileField.section = field.section;
+            if (field.occurrence) profileField.occurrence = field.occurrence;
+            return profileField;
+        }
+
+        // Current answer of a question in the format its field type expects; '' or [] when unanswered
+        readFieldValue(element, type, container) {
+            const scope = container || element.parentElement;
+            switch (type) {
+                case 'radio': {
+                    const selected = this.adapter.getChoiceOptions(scope, element)
+                        .find(option => this.adapter.isChoiceSelected(option));
+                    return selected ? this.adapter.getOptionLabel(selected) : '';
+                }
+                case 'rating':
+                case 'nps': {
+                    const selected = this.adapter.getChoiceOptions(scope, element)
+                        .find(option => this.adapter.isChoiceSelected(option));
+                    return selected ? String(this.getOptionNumber(selected)) : '';
+                }
+                case 'likert': {
+                    // Row label -> column label of every answered row; {} reads as unanswered
+                    const headers = Array.from(scope.querySelectorAll('[role="columnheader"], th'))
+                        .map(header => header.textContent.trim());
+                    const mapping = {};
+                    this.getLikertRows(scope).forEach(row => {
+                        const options = this.adapter.getChoiceOptions(row);
+                        const index = options.findIndex(option => this.adapter.isChoiceSelected(option));
+                        if (index < 0) return;
+                        const offset = Math.max(headers.length - options.length, 0);
+                        mapping[this.getLikertRowLabel(row)] = this.adapter.getOptionLabel(options[index]) || headers[index + offset] || '';
+                    });
+                    return mapping;
+                }
+                case 'checkbox':
+                    return this.adapter.getCheckboxOptions(scope, element)
+                        .filter(option => this.adapter.isChoiceSelected(option))
+                        .map(option => this.adapter.getOptionLabel(option));
+                case 'dropdown': {
+                    if (element.tagName === 'SELECT') {
+                        const option = element.options[element.selectedIndex];
+                        return option && option.value ? option.text.trim() : '';
+                    }
+                    const selected = element.querySelector('[role="option"][aria-selected="true"]');
+                    return selected ? (selected.getAttribute('data-value') || selected.textContent).trim() : '';
+                }
+                default:
+                    return element.value || '';
+            }
+        }
+
+        // Recording mode: remember which questions the user answers, read them back per page.
+        // settings come with the request, so Next/Submit clicks are recognized by label right away
+        startRecording(settings = null) {
+            if (settings) this.settings = settings;
+            if (this.recording) return;
+            this.recording = { touched: new Set(), pending: null };
+            this.recordingHandler = (e) => this.handleRecordedEvent(e);
+            ['input', 'change', 'click'].forEach(type => document.addEventListener(type, this.recordingHandler, true));
+            // A page that unloads after Next/Submit was accepted by the form
+            this.recordingUnloadHandler = () => this.commitRecordedPage(this.recording.pending);
+            window.addEventListener('pagehide', this.recordingUnloadHandler);
+            console.log('⏺️ Recording started');
+            this.showNotification('⏺ Запись включена - заполните форму вручную', 'info');
+        }
+
+        // Returns the answers of the current page
+        stopRecording() {
+            if (!this.recording) return [];
+            const fields = this.readRecordedPage();
+            ['input', 'change', 'click'].forEach(type => document.removeEventListener(type, this.recordingHandler, true));
+            window.removeEventListener('pagehide', this.recordingUnloadHandler);
+            this.recording = null;
+            console.log('⏹️ Recording stopped');
             return fields;
         }
 
+        handleRecordedEvent(e) {
+            if (!(e.target instanceof Element)) return;
+
+            // Next/Submit may close the page; capture phase runs before the form moves on
+            if (e.type === 'click' && e.target.closest('button, input[type="submit"], [role="button"]')) {
+                const navigation = this.findNavigationButton();
+                if (navigation && navigation.button.contains(e.target)) {
+                    this.watchRecordedNavigation(navigation);
+                    return;
+                }
+            }
+
+            const widget = e.target.closest(FIELD_WIDGET_SELECTOR);
+            if (!widget || NON_FIELD_INPUT_TYPES.includes(widget.type)) return;
+            this.recording.touched.add(this.getQuestionKey(widget));
+        }
+
+        // Answered questions the user touched on this page, as profile fields
+        readRecordedPage() {
+            const { touched } = this.recording;
+            return this.collectQuestions()
+                .filter(question => touched.has(question.key) && this.hasAnswer(question.field))
+                .map(question => this.toProfileField(question.field));
+        }
+
+        // Answers are read on the click, while they are still on the page, but the page is only
+        // recorded once the form moved on; a click the form rejects keeps collecting into the same page
+        async watchRecordedNavigation(navigation) {
+            const recording = this.recording;
+            const pending = {
+                url: window.location.href,
+                title: document.title,
+                fields: this.readRecordedPage(),
+                navigation: navigation.kind
+            };
+            recording.pending = pending;
+
+            const outcome = await this.waitForNavigationOutcome(this.snapshotPage(), navigation.button);
+            // Recording stopped, the page unloaded or another click took over meanwhile
+            if (this.recording !== recording || recording.pending !== pending) return;
+            if (outcome.transitioned) {
+                this.commitRecordedPage(pending);
+            } else {
+                recording.pending = null;
+                console.log(`⏺️ ${navigation.kind} was not accepted, page stays open for recording`);
+            }
+        }
+
+        commitRecordedPage(page) {
+            if (!page || !this.recording || this.recording.pending !== page) return;
+            this.recording.pending = null;
+            this.recording.touched.clear();
+            console.log(`⏺️ Page recorded with ${page.fields.length} answers (${page.navigation})`);
+            chrome.runtime.sendMessage({ action: 'recordPage', page }, () => {
+                if (chrome.runtime.lastError) {
+                    console.warn('Could not send recorded page:', chrome.runtime.lastError.message);
+                }
+            });
+        }
+
+        // Resume recording after a page load in a tab that is being recorded
+        checkRecordingState() {
+            chrome.runtime.sendMessage({ action: 'getRecordingState' }, (response) => {
+                if (chrome.runtime.lastError) return;
+                if (response && response.success && response.recording) {
+                    this.startRecording(response.settings);
+                }
+            });
+        }
+
+        // Profile built from the answers on the current page; unanswered questions are left out
+        captureForm() {
+            const fields = this.detectFields().filter(field => this.hasAnswer(field));
+            return {
+                name: document.title || window.location.hostname,
+                description: `Создан из ${window.location.href}`,
+                shortcut: '',
+                autoFillOfficeForms: false,
+                nextProfileId: null,
+                fields: fields.map(field => this.toProfileField(field))
+            };
+        }
+
         // Find label for input
         findLabel(input) {
             // Try label[for] attribute
@@ -404,12 +2478,20 @@
                 return prevSibling.textContent.trim();
             }
             
+            // Try ARIA label, placeholder and name
+            const ariaLabel = input.getAttribute('aria-label') || input.getAttribute('placeholder') || input.getAttribute('name');
+            if (ariaLabel) return ariaLabel.trim();
+            
             return null;
         }
 
         // Get field type
         getFieldType(element) {
-            if (element.type === 'radio') return 'radio';
+            const role = element.getAttribute('role');
+            if (element.type === 'radio' || role === 'radio') return 'radio';
+            if (element.type === 'checkbox' || role === 'checkbox') return 'checkbox';
+            if (element.tagName === 'SELECT' || role === 'listbox') return 'dropdown';
+            if (element.tagName === 'TEXTAREA') return 'longtext';
             if (element.type === 'date') return 'date';
             return 'text';
         }
@@ -423,10 +2505,7 @@
 
         // Check if element is visible
         isVisible(element) {
-            const style = window.getComputedStyle(element);
-            return style.display !== 'none' && 
-                   style.visibility !== 'hidden' && 
-                   !element.disabled;
+            return isElementVisible(element);
         }
 
         // Highlight element
@@ -438,30 +2517,73 @@
             }, 1000);
         }
 
-        // Show notification
-        showNotification(message) {
-            const notification = document.createElement('div');
-            notification.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: #4CAF50;
-                color: white;
-                padding: 12px 20px;
-                border-radius: 8px;
-                z-index: 10000;
-                font-family: Arial, sans-serif;
-                font-size: 14px;
-                box-shadow: 0 4px 20px rgba(0,0,0,0.3);
-            `;
-            notification.textContent = message;
-            document.body.appendChild(notification);
-            
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.remove();
+        // Show notification: info, success, warning or error toast
+        showNotification(message, type = 'info') {
+            this.overlay.toast(message, type);
+        }
+
+        // Detected fields panel; selected fields are appended to an existing or a new profile
+        showDetectedFieldsPanel(fields) {
+            chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
+                const profiles = response && response.success ? response.profiles : [];
+                this.overlay.showDetectedFields(fields, profiles, (selected, profileId) => {
+                    return this.copyFieldsToProfile(selected, profiles.find(p => p.id === profileId));
+                });
+            });
+        }
+
+        // Save detected fields with their current answers into a profile, skipping questions it already has
+        async copyFieldsToProfile(fields, profile = null) {
+            const target = profile ? { ...profile, fields: [...profile.fields] } : {
+                name: document.title || window.location.hostname,
+                description: `Создан из ${window.location.href}`,
+                shortcut: '',
+                autoFillOfficeForms: false,
+                nextProfileId: null,
+                fields: []
+            };
+
+            // Fields with a stable question ID are saved without section/occurrence, so compare them by the ID
+            const sameQuestion = (existing, field) => {
+                if (existing.matchStrategy === 'id' && field.questionId && this.adapter.isStableQuestionId(field.questionId)) {
+                    return existing.matchValue === field.questionId;
+                }
+                return existing.name === field.name &&
+                    (existing.section || '') === (field.section || '') && (existing.occurrence || 0) === (field.occurrence || 0);
+            };
+            let added = 0;
+            fields.forEach(field => {
+                if (target.fields.some(existing => sameQuestion(existing, field))) return;
+                target.fields.push(this.toProfileField(field));
+                added++;
+            });
+
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ action: 'saveProfile', profile: target }, (result) => {
+                    resolve(chrome.runtime.lastError ? null : result);
+                });
+            });
+            if (!response || !response.success) {
+                this.showNotification('Не удалось сохранить профиль', 'error');
+                return;
+            }
+            this.showNotification(`Добавлено ${added} полей в профиль ${target.name}`, 'success');
+        }
+
+        // A chain that was running in this tab before the page loaded is resumed by the background;
+        // auto-fill only starts on pages outside a chain
+        checkForChainOrAutoFill() {
+            chrome.runtime.sendMessage({ action: 'resumeChain', url: window.location.href }, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.debug('Could not check for a running chain:', chrome.runtime.lastError.message);
+                    return;
+                }
+                if (response && response.resumed) {
+                    console.log('🔗 Chain continues on this page');
+                    return;
                 }
-            }, 1500);
+                this.checkForAutoFill();
+            });
         }
 
         // Check for auto-fill
@@ -472,113 +2594,25 @@
                     const autoFillProfile = response.profiles.find(p => p.autoFillOfficeForms);
                     if (autoFillProfile && this.isMicrosoftFormsSite()) {
                         console.log('🚀 Auto-filling Microsoft Forms with profile:', autoFillProfile.name);
-                        this.waitForFormElements(() => {
-                            this.fillFormWithChain(autoFillProfile);
+                        this.waitForStableQuestions().then(() => {
+                            this.startChain(autoFillProfile, 'auto-fill');
                         });
                     }
                 }
             });
         }
 
-        // Wait for form elements to be available
-        waitForFormElements(callback, maxAttempts = 10, attempt = 0) {
-            const formElements = document.querySelectorAll('input, textarea, select');
-            const hasVisibleElements = Array.from(formElements).some(el => this.isVisible(el));
-            
-            if (hasVisibleElements || attempt >= maxAttempts) {
-                if (hasVisibleElements) {
-                    console.log('✅ Form elements found, starting auto-fill');
-                } else {
-                    console.log('⚠️ Form elements not found after maximum attempts, starting anyway');
-                }
-                callback();
-            } else {
-                console.log(`⏳ Waiting for form elements... (attempt ${attempt + 1}/${maxAttempts})`);
-                setTimeout(() => {
-                    this.waitForFormElements(callback, maxAttempts, attempt + 1);
-                }, 200);
-            }
-        }
-
         // Check if current site is Microsoft Forms
         isMicrosoftFormsSite() {
-            const hostname = window.location.hostname;
-            return hostname.includes('forms.office') || 
-                   hostname.includes('forms.cloud.microsoft') ||
-                   hostname.includes('forms.microsoft');
-        }
-
-        // Fill form with chain support
-        fillFormWithChain(profile) {
-            if (this.isProcessing) return;
-            
-            this.isProcessing = true;
-            console.log('🚀 Starting form fill with profile:', profile.name);
-            console.log('📋 Profile has', profile.fields.length, 'fields to fill');
-
-            let filledCount = 0;
-            const totalFields = profile.fields.length;
-            const results = [];
-
-            profile.fields.forEach((field, index) => {
-                console.log(`\n🔄 Processing field ${index + 1}/${totalFields}:`, field.name);
-                console.log('   📝 Type:', field.type);
-                console.log('   💾 Value:', field.value);
-                
-                const element = this.findFieldElement(field);
-                if (element) {
-                    console.log('   ✅ Element found:', element.tagName, element.type || 'no-type');
-                    const success = this.fillField(element, field);
-                    if (success) {
-                        filledCount++;
-                        results.push({ field: field.name, success: true });
-                        console.log(`   ✅ Successfully filled: ${field.name}`);
-                        this.highlightElement(element);
-                    } else {
-                        results.push({ field: field.name, success: false });
-                        console.warn(`   ❌ Failed to fill: ${field.name}`);
-                    }
-                } else {
-                    results.push({ field: field.name, success: false, error: 'Element not found' });
-                    console.warn(`   🚫 Element not found for: ${field.name}`);
-                }
-            });
-
-            console.log(`\n📊 Form fill completed: ${filledCount}/${totalFields} fields filled`);
-            console.log('📈 Success rate:', `${Math.round((filledCount / totalFields) * 100)}%`);
-            console.log('🎯 Results summary:', results.map(r => `${r.field}: ${r.success ? '✅' : '❌'}`).join(', '));
-
-            this.showNotification(`Заполнено ${filledCount} из ${totalFields} полей`);
-            
-            // Auto-click button after delay
-            if (filledCount > 0) {
-                setTimeout(() => {
-                    this.clickNextButton();
-                    
-                    // If profile has next profile, continue chain
-                    if (profile.nextProfileId) {
-                        setTimeout(() => {
-                            this.continueChain(profile.nextProfileId);
-                        }, 300); // Short delay for page transition
-                    }
-                }, 500);
-            }
-
-            this.isProcessing = false;
+            return MicrosoftFormsAdapter.matches(window.location.hostname);
         }
 
-        // Continue chain with next profile
-        continueChain(nextProfileId) {
-            console.log('🔗 Continuing chain with next profile:', nextProfileId);
-            chrome.runtime.sendMessage({ action: 'getProfiles' }, (response) => {
-                if (response && response.success && response.profiles) {
-                    const nextProfile = response.profiles.find(p => p.id === nextProfileId);
-                    if (nextProfile) {
-                        console.log('🔗 Found next profile in chain:', nextProfile.name);
-                        this.fillFormWithChain(nextProfile);
-                    } else {
-                        console.warn('🔗 Next profile not found in chain:', nextProfileId);
-                    }
+        // Fills started on the page run through the background chain orchestrator like any other,
+        // which sends the profile back here step by step
+        startChain(profile, trigger) {
+            chrome.runtime.sendMessage({ action: 'fillForm', profileId: profile.id, trigger }, () => {
+                if (chrome.runtime.lastError) {
+                    console.debug('Could not start chain:', chrome.runtime.lastError.message);
                 }
             });
         }
@@ -19,12 +19,18 @@ if (typeof chrome === 'undefined' || !chrome.runtime) {
     });
 } else {
 
+// Default similarity a question title needs to match a field name (see content.js)
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
 class AutoFillManager {
     constructor() {
         this.profiles = [];
         this.currentProfile = null;
         this.currentField = null;
         this.editingFieldIndex = -1;
+        this.history = [];
+        this.isRecording = false;
+        this.profileSort = localStorage.getItem('autofillProfileSort') || 'manual';
         this.osInfo = this.detectOperatingSystem();
         
         this.init();
@@ -84,6 +90,8 @@ class AutoFillManager {
         this.bindEvents();
         this.updateKeyboardShortcutOptions();
         await this.loadProfiles();
+        this.loadRecordingState();
+        this.subscribeToChainEvents();
         this.showMainView();
         
         // Show OS-specific welcome message on first load
@@ -143,10 +151,29 @@ class AutoFillManager {
         // Main view events
         document.getElementById('createProfileBtn').addEventListener('click', () => this.createNewProfile());
         document.getElementById('searchProfiles').addEventListener('input', (e) => this.searchProfiles(e.target.value));
+        document.getElementById('profileSort').value = this.profileSort;
+        document.getElementById('profileSort').addEventListener('change', (e) => this.changeProfileSort(e.target.value));
         document.getElementById('exportBtn').addEventListener('click', () => this.exportProfiles());
         document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
         document.getElementById('importFile').addEventListener('change', (e) => this.importProfiles(e));
         document.getElementById('deleteAllBtn').addEventListener('click', () => this.deleteAllProfiles());
+        document.getElementById('historyBtn').addEventListener('click', () => this.showHistoryView());
+        document.getElementById('captureFormBtn').addEventListener('click', () => this.captureForm());
+        document.getElementById('recordBtn').addEventListener('click', () => this.toggleRecording());
+        document.getElementById('settingsBtn').addEventListener('click', () => this.showSettingsView());
+        
+        // Settings view events
+        document.getElementById('backFromSettings').addEventListener('click', () => this.showMainView());
+        document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+        document.getElementById('resetNavigationLabels').addEventListener('click', () => this.saveSettings({ navigationLabels: null }));
+        
+        // History view events
+        document.getElementById('backFromHistory').addEventListener('click', () => this.showMainView());
+        document.getElementById('historySearch').addEventListener('input', () => this.renderHistoryList());
+        document.getElementById('historyStatus').addEventListener('change', () => this.renderHistoryList());
+        document.getElementById('exportHistoryJson').addEventListener('click', () => this.exportHistory('json'));
+        document.getElementById('exportHistoryCsv').addEventListener('click', () => this.exportHistory('csv'));
+        document.getElementById('clearHistoryBtn').addEventListener('click', () => this.clearHistory());
         
         // Editor view events
         document.getElementById('backToMain').addEventListener('click', () => this.showMainView());
@@ -164,6 +191,7 @@ class AutoFillManager {
         
         // Field type change handler
         document.getElementById('fieldType').addEventListener('change', (e) => this.handleFieldTypeChange(e));
+        document.getElementById('fieldMatchStrategy').addEventListener('change', () => this.handleMatchStrategyChange());
         
         
         
@@ -211,6 +239,8 @@ class AutoFillManager {
     showMainView() {
         document.getElementById('mainView').classList.add('active');
         document.getElementById('editorView').classList.remove('active');
+        document.getElementById('historyView').classList.remove('active');
+        document.getElementById('settingsView').classList.remove('active');
         this.renderProfilesList();
     }
     
@@ -219,17 +249,18 @@ class AutoFillManager {
         document.getElementById('editorView').classList.add('active');
     }
     
+    async showHistoryView() {
+        document.getElementById('mainView').classList.remove('active');
+        document.getElementById('historyView').classList.add('active');
+        await this.loadHistory();
+        this.renderHistoryList();
+    }
+    
     renderProfilesList() {
         const container = document.getElementById('profilesList');
         const deleteAllBtn = document.getElementById('deleteAllBtn');
         
-        // Ensure all profiles have displayOrder
-        this.ensureDisplayOrder();
-        
-        // Simple stable sort by displayOrder
-        const sortedProfiles = [...this.profiles].sort((a, b) => {
-            return (a.displayOrder || 0) - (b.displayOrder || 0);
-        });
+        const sortedProfiles = this.getSortedProfiles();
         
         if (sortedProfiles.length === 0) {
             container.innerHTML = `
@@ -271,8 +302,10 @@ class AutoFillManager {
                     <span class="profile-fields">${profile.fields.length} полей</span>
                     ${profile.autoFillOfficeForms ? `<span class="profile-auto">⚡ Автозаполнение на Microsoft Forms</span>` : ''}
                     ${nextProfile ? `<span class="profile-chain">→ ${this.escapeHtml(nextProfile.name)}</span>` : ''}
+                    ${profile.usageCount ? `<span class="profile-fields" title="${this.escapeHtml(profile.lastUsedUrl || '')}">Использован ${profile.usageCount} раз, ${new Date(profile.lastUsedAt).toLocaleString()}</span>` : ''}
                 </div>
                 <div class="profile-actions">
+                    <button class="btn btn-secondary btn-small profile-preview-btn" data-profile-index="${index}" title="Показать, что будет заполнено, не изменяя форму">Предпросмотр</button>
                     <button class="btn btn-secondary btn-small profile-duplicate-btn" data-profile-index="${index}">Копировать</button>
                     <button class="btn btn-delete btn-small profile-delete-btn" data-profile-index="${index}">Удалить</button>
                 </div>
@@ -286,10 +319,7 @@ class AutoFillManager {
     
     attachProfilesEventListeners() {
         // Get sorted profiles for correct indexing
-        this.ensureDisplayOrder();
-        const sortedProfiles = [...this.profiles].sort((a, b) => {
-            return (a.displayOrder || 0) - (b.displayOrder || 0);
-        });
+        const sortedProfiles = this.getSortedProfiles();
         
         // Profile item click (edit)
         document.querySelectorAll('.profile-item').forEach(item => {
@@ -305,6 +335,15 @@ class AutoFillManager {
         
 
         
+        // Preview profile buttons
+        document.querySelectorAll('.profile-preview-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const profile = sortedProfiles[parseInt(btn.dataset.profileIndex)];
+                this.previewProfile(profile.id);
+            });
+        });
+        
         // Duplicate profile buttons
         document.querySelectorAll('.profile-duplicate-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -328,6 +367,34 @@ class AutoFillManager {
         });
     }
     
+    /**
+     * Profiles in the order chosen in the main view
+     * @returns {Array} - 'manual' keeps displayOrder, 'recent' puts the last used first, 'popular' the most used
+     */
+    getSortedProfiles() {
+        // Ensure all profiles have displayOrder
+        this.ensureDisplayOrder();
+        
+        // Simple stable sort by displayOrder
+        const sorted = [...this.profiles].sort((a, b) => {
+            return (a.displayOrder || 0) - (b.displayOrder || 0);
+        });
+        
+        if (this.profileSort === 'recent') {
+            return sorted.sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+        }
+        if (this.profileSort === 'popular') {
+            return sorted.sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0));
+        }
+        return sorted;
+    }
+    
+    changeProfileSort(sort) {
+        this.profileSort = sort;
+        localStorage.setItem('autofillProfileSort', sort);
+        this.renderProfilesList();
+    }
+    
     createNewProfile() {
         this.currentProfile = {
             id: Date.now().toString(),
@@ -336,6 +403,8 @@ class AutoFillManager {
             shortcut: '',
             autoFillOfficeForms: false,
             nextProfileId: null,
+            matchThreshold: DEFAULT_MATCH_THRESHOLD,
+            submitPolicy: '',
             fields: [],
             displayOrder: this.getNextDisplayOrder()
         };
@@ -381,6 +450,8 @@ class AutoFillManager {
         document.getElementById('profileDescription').value = this.currentProfile.description;
         document.getElementById('keyboardShortcut').value = this.currentProfile.shortcut || '';
         document.getElementById('autoFillOfficeForms').checked = this.currentProfile.autoFillOfficeForms || false;
+        document.getElementById('matchThreshold').value = this.currentProfile.matchThreshold || DEFAULT_MATCH_THRESHOLD;
+        document.getElementById('submitPolicy').value = this.currentProfile.submitPolicy || '';
         
         // Populate next profile dropdown
         this.populateNextProfileDropdown();
@@ -451,9 +522,9 @@ class AutoFillManager {
         container.innerHTML = this.currentProfile.fields.map((field, index) => `
             <div class="field-item">
                 <div class="field-info">
-                    <div class="field-name">${this.escapeHtml(field.name)} (${this.escapeHtml(field.type)})</div>
-                    <div class="field-details${!field.value ? ' empty' : ''}">
-                        💬 ${this.escapeHtml(field.value || 'Не задано')}
+                    <div class="field-name">${this.escapeHtml(field.name)} (${this.escapeHtml(field.type)})${field.matchStrategy ? ` <span class="field-match">${this.escapeHtml(this.describeMatchStrategy(field))}</span>` : ''}${field.section ? ` <span class="field-match">§ ${this.escapeHtml(field.section)}</span>` : ''}${field.occurrence ? ` <span class="field-match">#${field.occurrence}</span>` : ''}</div>
+                    <div class="field-details${!this.formatFieldValue(field.type, field.value) ? ' empty' : ''}">
+                        💬 ${this.escapeHtml(this.formatFieldValue(field.type, field.value).replace(/\n/g, ', ') || 'Не задано')}
                     </div>
                 </div>
                 <div class="field-actions">
@@ -516,15 +587,26 @@ class AutoFillManager {
             const field = this.currentProfile.fields[fieldIndex];
             document.getElementById('fieldName').value = field.name;
             document.getElementById('fieldType').value = field.type;
-            document.getElementById('fieldValue').value = field.value;
+            document.getElementById('fieldValue').value = this.formatFieldValue(field.type, field.value);
+            document.getElementById('fieldMatchStrategy').value = field.matchStrategy || 'fuzzy';
+            document.getElementById('fieldMatchValue').value = field.matchValue ?? '';
+            document.getElementById('fieldSection').value = field.section || '';
+            document.getElementById('fieldOccurrence').value = field.occurrence || '';
+            document.getElementById('fieldTyping').checked = !!field.typing;
         } else {
             document.getElementById('fieldName').value = '';
             document.getElementById('fieldType').value = 'text';
             document.getElementById('fieldValue').value = '';
+            document.getElementById('fieldMatchStrategy').value = 'fuzzy';
+            document.getElementById('fieldMatchValue').value = '';
+            document.getElementById('fieldSection').value = '';
+            document.getElementById('fieldOccurrence').value = '';
+            document.getElementById('fieldTyping').checked = false;
         }
         
         // Update visibility of value field based on type
         this.handleFieldTypeChange({ target: { value: document.getElementById('fieldType').value } });
+        this.handleMatchStrategyChange();
         
         modal.classList.add('active');
     }
@@ -536,10 +618,166 @@ class AutoFillManager {
     
     handleFieldTypeChange(e) {
         const fieldType = e.target.value;
-        const valueGroup = document.querySelector('#fieldValue').closest('.input-group');
+        const valueInput = document.getElementById('fieldValue');
+        const valueGroup = valueInput.closest('.input-group');
+        const valueHint = document.getElementById('fieldValueHint');
         
         // Always show value field for our simplified types
         valueGroup.style.display = 'block';
+        
+        // Typing mode only applies to free-text inputs
+        const typingGroup = document.getElementById('fieldTypingGroup');
+        typingGroup.style.display = ['text', 'longtext', 'date'].includes(fieldType) ? 'block' : 'none';
+        
+        if (fieldType === 'checkbox') {
+            valueInput.placeholder = 'Вариант 1\nВариант 2';
+            valueHint.textContent = 'Каждый отмечаемый вариант с новой строки';
+        } else if (fieldType === 'longtext') {
+            valueInput.placeholder = 'Многострочный ответ...';
+            valueHint.textContent = 'Переносы строк сохраняются при заполнении';
+        } else if (fieldType === 'dropdown') {
+            valueInput.placeholder = 'Текст варианта в списке';
+            valueHint.textContent = 'Будет выбран вариант с таким текстом';
+        } else if (fieldType === 'rating') {
+            valueInput.placeholder = '4';
+            valueHint.textContent = 'Количество звёзд / баллов';
+        } else if (fieldType === 'nps') {
+            valueInput.placeholder = '9';
+            valueHint.textContent = 'Оценка от 0 до 10';
+        } else if (fieldType === 'likert') {
+            valueInput.placeholder = 'Строка 1 = Согласен\nСтрока 2 = Не согласен';
+            valueHint.textContent = 'Каждая строка матрицы: "строка = столбец"';
+        } else if (fieldType === 'ranking') {
+            valueInput.placeholder = 'Первый\nВторой\nТретий';
+            valueHint.textContent = 'Элементы в нужном порядке, каждый с новой строки';
+        } else {
+            valueInput.placeholder = 'Введите значение...';
+            valueHint.textContent = '';
+        }
+    }
+    
+    /**
+     * Show the match value input only for strategies that need one
+     */
+    handleMatchStrategyChange() {
+        const strategy = document.getElementById('fieldMatchStrategy').value;
+        const group = document.getElementById('fieldMatchValueGroup');
+        const label = document.getElementById('fieldMatchValueLabel');
+        const input = document.getElementById('fieldMatchValue');
+        
+        const labels = {
+            regex: ['Регулярное выражение:', 'например, ^Imi[eę]'],
+            ordinal: ['Номер вопроса на странице:', 'например, 7'],
+            id: ['ID вопроса:', 'например, QuestionId_r1a2b3']
+        };
+        
+        if (labels[strategy]) {
+            group.style.display = 'block';
+            label.textContent = labels[strategy][0];
+            input.placeholder = labels[strategy][1];
+        } else {
+            group.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Short description of a non-default match strategy for the fields list
+     * @param {Object} field - Profile field
+     * @returns {string} - Description
+     */
+    describeMatchStrategy(field) {
+        switch (field.matchStrategy) {
+            case 'exact': return 'точно';
+            case 'regex': return `/${field.matchValue}/`;
+            case 'ordinal': return `№${field.matchValue}`;
+            case 'id': return `ID ${field.matchValue}`;
+            default: return '';
+        }
+    }
+    
+    /**
+     * Validate the match strategy settings of a field
+     * @param {string} strategy - Match strategy
+     * @param {string} matchValue - Pattern, ordinal or question ID
+     * @returns {string|null} - Error message or null if valid
+     */
+    validateMatchStrategy(strategy, matchValue) {
+        if (strategy === 'regex') {
+            try {
+                new RegExp(matchValue);
+            } catch (error) {
+                return 'Неверное регулярное выражение';
+            }
+        }
+        if (strategy === 'ordinal' && !/^[1-9]\d*$/.test(matchValue)) {
+            return 'Номер вопроса должен быть положительным числом';
+        }
+        if (strategy === 'id' && !matchValue) {
+            return 'Введите ID вопроса';
+        }
+        return null;
+    }
+    
+    /**
+     * Convert raw modal input into the stored value for a field type
+     * @param {string} fieldType - Field type
+     * @param {string} rawValue - Text from the value textarea
+     * @returns {string|number|Array|Object} - Stored value
+     */
+    parseFieldValue(fieldType, rawValue) {
+        if (fieldType === 'checkbox' || fieldType === 'ranking') {
+            return rawValue.split('\n').map(v => v.trim()).filter(v => v.length > 0);
+        }
+        if (fieldType === 'rating' || fieldType === 'nps') {
+            return rawValue.trim() === '' ? '' : Number(rawValue.trim());
+        }
+        if (fieldType === 'likert') {
+            const mapping = {};
+            rawValue.split('\n').forEach(line => {
+                const separator = line.indexOf('=');
+                if (separator < 0) return;
+                const row = line.slice(0, separator).trim();
+                const column = line.slice(separator + 1).trim();
+                if (row && column) mapping[row] = column;
+            });
+            return mapping;
+        }
+        return rawValue;
+    }
+    
+    /**
+     * Validate a parsed field value
+     * @param {string} fieldType - Field type
+     * @param {*} value - Parsed value
+     * @returns {string|null} - Error message or null if valid
+     */
+    validateFieldValue(fieldType, value) {
+        if (fieldType === 'rating' && value !== '' && (!Number.isInteger(value) || value < 1)) {
+            return 'Оценка должна быть целым числом больше 0';
+        }
+        if (fieldType === 'nps' && value !== '' && (!Number.isInteger(value) || value < 0 || value > 10)) {
+            return 'Оценка NPS должна быть от 0 до 10';
+        }
+        return null;
+    }
+    
+    /**
+     * Convert a stored field value back into editable text
+     * @param {string} fieldType - Field type
+     * @param {string|number|Array|Object} value - Stored value
+     * @returns {string} - Text for the value textarea
+     */
+    formatFieldValue(fieldType, value) {
+        if (Array.isArray(value)) {
+            return value.join('\n');
+        }
+        if (value && typeof value === 'object') {
+            return Object.entries(value).map(([row, column]) => `${row} = ${column}`).join('\n');
+        }
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        return value || '';
     }
     
     
@@ -549,7 +787,7 @@ class AutoFillManager {
         const field = {
             name: document.getElementById('fieldName').value.trim(),
             type: fieldType,
-            value: document.getElementById('fieldValue').value,
+            value: this.parseFieldValue(fieldType, document.getElementById('fieldValue').value),
             required: false
         };
         
@@ -558,6 +796,40 @@ class AutoFillManager {
             return;
         }
         
+        const valueError = this.validateFieldValue(fieldType, field.value);
+        if (valueError) {
+            this.showStatus(valueError, 'error');
+            return;
+        }
+        
+        const matchStrategy = document.getElementById('fieldMatchStrategy').value;
+        const matchValue = document.getElementById('fieldMatchValue').value.trim();
+        if (matchStrategy !== 'fuzzy' && matchStrategy !== 'exact') {
+            const strategyError = this.validateMatchStrategy(matchStrategy, matchValue);
+            if (strategyError) {
+                this.showStatus(strategyError, 'error');
+                return;
+            }
+            field.matchValue = matchValue;
+        }
+        if (matchStrategy !== 'fuzzy') {
+            field.matchStrategy = matchStrategy;
+        }
+        
+        // Scope for repeated question labels
+        const section = document.getElementById('fieldSection').value.trim();
+        const occurrenceText = document.getElementById('fieldOccurrence').value.trim();
+        if (occurrenceText && !/^[1-9]\d*$/.test(occurrenceText)) {
+            this.showStatus('Номер повторения должен быть положительным числом', 'error');
+            return;
+        }
+        if (section) field.section = section;
+        if (occurrenceText) field.occurrence = parseInt(occurrenceText, 10);
+        
+        if (['text', 'longtext', 'date'].includes(fieldType) && document.getElementById('fieldTyping').checked) {
+            field.typing = true;
+        }
+        
         if (this.editingFieldIndex >= 0) {
             this.currentProfile.fields[this.editingFieldIndex] = field;
         } else {
@@ -611,6 +883,14 @@ class AutoFillManager {
         this.currentProfile.name = name;
         this.currentProfile.description = document.getElementById('profileDescription').value.trim();
         this.currentProfile.autoFillOfficeForms = document.getElementById('autoFillOfficeForms').checked;
+        
+        const matchThreshold = parseFloat(document.getElementById('matchThreshold').value);
+        if (isNaN(matchThreshold) || matchThreshold < 0.3 || matchThreshold > 1) {
+            this.showStatus('Порог совпадения должен быть от 0.3 до 1', 'error');
+            return;
+        }
+        this.currentProfile.matchThreshold = matchThreshold;
+        this.currentProfile.submitPolicy = document.getElementById('submitPolicy').value;
         const selectedShortcut = document.getElementById('keyboardShortcut').value;
         
         // Check if shortcut is already used by another profile
@@ -773,10 +1053,20 @@ class AutoFillManager {
                 return;
             }
             
-            if (response && response.success) {
+            if (response && Array.isArray(response.validationErrors)) {
+                // Every field was filled but the form rejected the page
+                const rejected = response.validationErrors.map(e => `${e.field || e.question}: ${e.message}`);
+                this.showStatus(`Форма не принята. ${rejected.join('; ')}`, 'error');
+            } else if (response && response.success) {
                 this.showStatus(`Заполнено ${response.filled} из ${response.total} полей`, 'success');
                 // Don't auto-close popup, let user see the result
                 // User can manually close or popup will close automatically when they click elsewhere
+            } else if (response && Array.isArray(response.results) && response.filled > 0) {
+                // Partial fill: name the fields that failed and why
+                const failed = response.results
+                    .filter(r => !r.filled)
+                    .map(r => `${r.field} (${r.error || 'ошибка'})`);
+                this.showStatus(`Заполнено ${response.filled} из ${response.total}. Не заполнены: ${failed.join(', ')}`, 'error');
             } else {
                 this.showStatus('Не найдено полей для заполнения', 'info');
                 console.error('Fill form error:', response?.error || 'Unknown error');
@@ -784,6 +1074,188 @@ class AutoFillManager {
         });
     }
     
+    // Dry run on the active tab: outlines matched questions, fills nothing
+    previewProfile(profileId) {
+        chrome.runtime.sendMessage({
+            action: 'previewForm',
+            profileId: profileId
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('Runtime error previewing profile:', chrome.runtime.lastError.message);
+                this.showStatus('Ошибка соединения при предпросмотре', 'error');
+                return;
+            }
+            
+            if (response && response.success) {
+                const missing = response.results.filter(r => !r.found).map(r => r.field);
+                const missingText = missing.length > 0 ? `. Не найдены: ${missing.join(', ')}` : '';
+                this.showStatus(`Предпросмотр: найдено ${response.matched} из ${response.total} полей${missingText}`, missing.length > 0 ? 'error' : 'success');
+            } else {
+                this.showStatus(`Ошибка предпросмотра: ${response?.error || 'неизвестная ошибка'}`, 'error');
+            }
+        });
+    }
+    
+    // Save the answers entered on the active tab as a new profile
+    captureForm() {
+        chrome.runtime.sendMessage({ action: 'captureForm' }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('Runtime error capturing form:', chrome.runtime.lastError.message);
+                this.showStatus('Ошибка соединения при сохранении формы', 'error');
+                return;
+            }
+            
+            if (response && response.success) {
+                this.loadProfiles();
+                this.showStatus(`✅ Профиль "${response.profile.name}" сохранён (${response.profile.fields.length} полей)`, 'success');
+            } else {
+                console.error('Capture form error:', response?.error || 'Unknown error');
+                this.showStatus(`Не удалось сохранить форму: ${response?.error || 'неизвестная ошибка'}`, 'error');
+            }
+        });
+    }
+    
+    // Global settings
+
+    showSettingsView() {
+        document.getElementById('mainView').classList.remove('active');
+        document.getElementById('settingsView').classList.add('active');
+        this.loadSettings();
+    }
+
+    loadSettings() {
+        chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.error('Failed to load settings:', chrome.runtime.lastError?.message || response?.error);
+                return;
+            }
+            this.renderSettings(response.settings);
+        });
+    }
+
+    renderSettings(settings) {
+        document.getElementById('defaultSubmitPolicy').value = settings.defaultSubmitPolicy;
+        document.getElementById('navigationLabels').value = this.formatNavigationLabels(settings.navigationLabels);
+    }
+
+    /**
+     * Save global settings; without overrides the values come from the settings view
+     * @param {Object} overrides - Settings to save instead, navigationLabels: null restores the defaults
+     */
+    saveSettings(overrides = null) {
+        let settings = overrides;
+        if (!settings) {
+            try {
+                settings = {
+                    defaultSubmitPolicy: document.getElementById('defaultSubmitPolicy').value,
+                    navigationLabels: this.parseNavigationLabels(document.getElementById('navigationLabels').value)
+                };
+            } catch (error) {
+                this.showStatus(error.message, 'error');
+                return;
+            }
+        }
+        
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings }, (response) => {
+            if (response && response.success) {
+                this.renderSettings(response.settings);
+                this.showStatus('Настройки сохранены', 'success');
+            } else {
+                this.showStatus('Ошибка при сохранении настроек', 'error');
+            }
+        });
+    }
+
+    /**
+     * One line per language: "pl: dalej, następna | wyślij, prześlij"
+     * @param {Array} labels - [{ language, next: [...], submit: [...] }]
+     * @returns {string} - Editable text
+     */
+    formatNavigationLabels(labels) {
+        return (labels || [])
+            .map(entry => `${entry.language}: ${entry.next.join(', ')} | ${entry.submit.join(', ')}`)
+            .join('\n');
+    }
+
+    parseNavigationLabels(text) {
+        const splitList = (list) => list.split(',').map(label => label.trim()).filter(Boolean);
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map((line, index) => {
+                const match = line.match(/^([^:|]+):([^|]*)\|(.*)$/);
+                if (!match) {
+                    throw new Error(`Строка ${index + 1}: ожидается «язык: далее, … | отправить, …»`);
+                }
+                return { language: match[1].trim(), next: splitList(match[2]), submit: splitList(match[3]) };
+            });
+    }
+
+    // Chain progress
+
+    /**
+     * Follow chains run by the background orchestrator, whichever trigger started them.
+     * The first step is reported by fillForm itself, so only later steps and the end are shown
+     */
+    subscribeToChainEvents() {
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action !== 'chainEvent') return;
+            const { event, detail } = message;
+
+            if (event === 'stepStarted' && detail.position > 1) {
+                this.showStatus(`Цепочка: шаг ${detail.position} - ${detail.profileName}`, 'info');
+            } else if (event === 'finished' && detail.results.length > 1) {
+                const succeeded = detail.results.filter(result => result.success).length;
+                this.showStatus(detail.status === 'completed'
+                    ? `Цепочка завершена: ${succeeded}/${detail.results.length} профилей`
+                    : `Цепочка остановлена после ${detail.results.length} шагов: ${detail.reason}`,
+                    detail.status === 'completed' ? 'success' : 'error');
+            }
+        });
+    }
+
+    // Recording mode
+
+    loadRecordingState() {
+        chrome.runtime.sendMessage({ action: 'getRecordingState' }, (response) => {
+            if (chrome.runtime.lastError) return;
+            this.isRecording = !!(response && response.success && response.active);
+            this.updateRecordButton();
+        });
+    }
+
+    updateRecordButton() {
+        const button = document.getElementById('recordBtn');
+        button.textContent = this.isRecording ? '⏹ Остановить запись' : '⏺ Запись';
+        button.classList.toggle('btn-danger', this.isRecording);
+        button.classList.toggle('btn-secondary', !this.isRecording);
+    }
+
+    /**
+     * Start recording on the active tab, or stop it and create the recorded profiles
+     */
+    toggleRecording() {
+        const action = this.isRecording ? 'stopRecording' : 'startRecording';
+        chrome.runtime.sendMessage({ action }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.error('Recording error:', chrome.runtime.lastError?.message || response?.error);
+                this.showStatus(`Ошибка записи: ${response?.error || 'нет соединения'}`, 'error');
+                return;
+            }
+            
+            this.isRecording = action === 'startRecording';
+            this.updateRecordButton();
+            
+            if (this.isRecording) {
+                this.showStatus('⏺ Запись включена - заполните форму и нажмите «Далее»', 'info');
+            } else {
+                this.loadProfiles();
+                const count = response.profiles.length;
+                this.showStatus(count > 0 ? `✅ Создано профилей: ${count}` : 'Ответы не записаны', count > 0 ? 'success' : 'info');
+            }
+        });
+    }
+    
     // Keyboard shortcuts are now handled by simple select dropdown
     
     handleKeyboardShortcut(e) {
@@ -883,6 +1355,148 @@ class AutoFillManager {
         event.target.value = '';
     }
     
+
+    // Fill History
+
+    async loadHistory() {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'getHistory' }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    console.error('Failed to load fill history:', chrome.runtime.lastError?.message || response?.error);
+                    this.history = [];
+                } else {
+                    this.history = response.history || [];
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Outcome of a history entry for filtering and colouring
+     * @param {Object} entry - History entry
+     * @returns {string} - 'success', 'partial' or 'failed'
+     */
+    getHistoryOutcome(entry) {
+        if (entry.success) return 'success';
+        return entry.filled > 0 ? 'partial' : 'failed';
+    }
+
+    getFilteredHistory() {
+        const query = document.getElementById('historySearch').value.trim().toLowerCase();
+        const outcome = document.getElementById('historyStatus').value;
+        
+        return this.history.filter(entry => {
+            if (outcome && this.getHistoryOutcome(entry) !== outcome) return false;
+            if (!query) return true;
+            return (entry.profileName || '').toLowerCase().includes(query) ||
+                   (entry.url || '').toLowerCase().includes(query);
+        });
+    }
+
+    renderHistoryList() {
+        const container = document.getElementById('historyList');
+        const entries = this.getFilteredHistory();
+        
+        if (entries.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>${this.history.length === 0 ? 'История пуста' : 'Ничего не найдено'}</h3>
+                    <p>${this.history.length === 0 ? 'Здесь появятся результаты заполнения форм' : 'Измените фильтр'}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const navigationLabels = { next: '→ Далее', submit: '✓ Отправлено' };
+        container.innerHTML = entries.map(entry => `
+            <div class="history-item ${this.getHistoryOutcome(entry)}">
+                <div class="profile-header">
+                    <span class="profile-name">${this.escapeHtml(entry.profileName || '—')}</span>
+                    <span class="profile-fields">${new Date(entry.timestamp).toLocaleString()}</span>
+                </div>
+                <div class="history-url">${this.escapeHtml(entry.url || '')}</div>
+                <div class="profile-info">
+                    <span class="profile-fields">Заполнено ${entry.filled} из ${entry.total}</span>
+                    ${entry.chainPosition > 1 ? `<span class="profile-chain">Шаг ${entry.chainPosition} цепочки</span>` : ''}
+                    ${entry.navigation ? `<span class="profile-chain" title="${this.escapeHtml(entry.navigationButton ? `${entry.navigationButton.label} (${entry.navigationButton.via})` : '')}">${navigationLabels[entry.navigation] || entry.navigation}</span>` : ''}
+                    ${entry.error ? `<span class="profile-fields">${this.escapeHtml(entry.error)}</span>` : ''}
+                </div>
+                ${entry.fields.length > 0 ? `
+                <div class="history-fields">
+                    ${entry.fields.map(f => `<span class="history-field ${f.status}" title="${this.escapeHtml(f.error || f.status)}">${this.escapeHtml(f.name)}</span>`).join('')}
+                </div>` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Download the filtered history entries
+     * @param {string} format - 'json' or 'csv'
+     */
+    exportHistory(format) {
+        const entries = this.getFilteredHistory();
+        if (entries.length === 0) {
+            this.showStatus('Нет записей для экспорта', 'info');
+            return;
+        }
+        
+        const data = format === 'csv' ? this.historyToCsv(entries) : JSON.stringify(entries, null, 2);
+        const blob = new Blob([data], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `autofill-history-${new Date().toISOString().split('T')[0]}.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+        this.showStatus(`Экспортировано записей истории: ${entries.length}`, 'success');
+    }
+
+    /**
+     * One CSV row per field, so each row carries its fill's metadata
+     * @param {Array} entries - History entries
+     * @returns {string} - CSV text
+     */
+    historyToCsv(entries) {
+        const escapeCsv = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['timestamp', 'url', 'profile', 'chainPosition', 'success', 'filled', 'total', 'navigation', 'navigationButton', 'field', 'fieldStatus', 'fieldError'];
+        const rows = [];
+        
+        entries.forEach(entry => {
+            const base = [
+                new Date(entry.timestamp).toISOString(),
+                entry.url,
+                entry.profileName,
+                entry.chainPosition,
+                entry.success,
+                entry.filled,
+                entry.total,
+                entry.navigation || '',
+                entry.navigationButton ? `${entry.navigationButton.label} (${entry.navigationButton.via})` : ''
+            ];
+            const fields = entry.fields.length > 0 ? entry.fields : [{ name: '', status: '', error: entry.error }];
+            fields.forEach(f => rows.push([...base, f.name, f.status, f.error]));
+        });
+        
+        return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+    }
+
+    async clearHistory() {
+        if (!confirm('Очистить всю историю заполнений?')) return;
+        
+        chrome.runtime.sendMessage({ action: 'clearHistory' }, (response) => {
+            if (response && response.success) {
+                this.history = [];
+                this.renderHistoryList();
+                this.showStatus('История очищена', 'success');
+            } else {
+                this.showStatus('Ошибка при очистке истории', 'error');
+            }
+        });
+    }
     
     showStatus(message, type) {
         const statusEl = document.getElementById('statusMessage');